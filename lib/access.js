@@ -0,0 +1,103 @@
+// Who may use the server: an origin allow-list for browsers, and optional access keys
+// (tokens, or invite keys a mosque hands out) checked when a socket connects or an API call
+// comes in.
+//
+// Without a key a client can still follow a shared session; recording, uploading and the
+// saved sessions need one whenever keys are configured. Every client gets an id that usage
+// limits are counted against: the key's name, or its IP address when there are no keys.
+
+// "name:key" entries (or bare keys, named key-1, key-2...) → Map key → name
+function parseAccessKeys(list) {
+    const keys = new Map();
+    list.forEach((entry, index) => {
+        const separator = entry.indexOf(':');
+        if (separator > 0) {
+            keys.set(entry.slice(separator + 1).trim(), entry.slice(0, separator).trim());
+        } else {
+            keys.set(entry, `key-${index + 1}`);
+        }
+    });
+    return keys;
+}
+
+// config: { allowedOrigins: [origins], keys: ["name:key"], trustProxy: proxies in front (0 for none) }
+function createAccessControl({ allowedOrigins = [], keys: keyList = [], trustProxy = 0 }) {
+    const keys = parseAccessKeys(keyList);
+    const origins = new Set(allowedOrigins);
+
+    // Requests without an Origin header (same-origin navigation, curl) aren't cross-origin
+    function originAllowed(origin) {
+        return origins.size === 0 || !origin || origins.has(origin);
+    }
+
+    // Each proxy appends the address it was reached from to X-Forwarded-For, so the client is
+    // `trustProxy` entries from the right; anything further left is whatever the client sent
+    function clientAddress(headers, address) {
+        const forwarded = trustProxy && headers['x-forwarded-for'];
+        if (!forwarded) {
+            return address;
+        }
+        const entries = forwarded.split(',').map(entry => entry.trim()).filter(Boolean);
+        return entries[Math.max(0, entries.length - trustProxy)] || address;
+    }
+
+    // { id, name, authorized } for a key (possibly missing) and address. Throws an Error with
+    // `status` 403 for a key that isn't valid, so a typo isn't silently treated as no key.
+    function identify(key, address) {
+        if (keys.size === 0) {
+            return { id: `ip:${address}`, name: address, authorized: true };
+        }
+        if (!key) {
+            return { id: `ip:${address}`, name: address, authorized: false };
+        }
+        const name = keys.get(key);
+        if (!name) {
+            const error = new Error('This access key is not valid');
+            error.status = 403;
+            throw error;
+        }
+        return { id: `key:${name}`, name, authorized: true };
+    }
+
+    return {
+        keysRequired: keys.size > 0,
+        originAllowed,
+
+        // cors() `origin` option for Express and Socket.IO
+        corsOrigin(origin, callback) {
+            callback(null, originAllowed(origin));
+        },
+
+        // Socket.IO `allowRequest`: CORS alone doesn't stop a WebSocket from another site
+        allowRequest(req, callback) {
+            callback(null, originAllowed(req.headers.origin));
+        },
+
+        // Socket.IO middleware: the key comes from the handshake's auth (or ?key=)
+        socketMiddleware(socket, next) {
+            const { auth = {}, query = {}, headers, address } = socket.handshake;
+            try {
+                socket.data.client = identify(auth.key || query.key, clientAddress(headers, address));
+                next();
+            } catch (error) {
+                error.data = { code: 'invalid-key' };
+                next(error);
+            }
+        },
+
+        // Express middleware for APIs that need a key: X-Access-Key header or ?key=
+        requireKey(req, res, next) {
+            try {
+                req.client = identify(req.get('X-Access-Key') || req.query.key, clientAddress(req.headers, req.socket.remoteAddress));
+            } catch (error) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            if (!req.client.authorized) {
+                return res.status(401).json({ error: 'An access key is required' });
+            }
+            next();
+        }
+    };
+}
+
+module.exports = { createAccessControl, parseAccessKeys };
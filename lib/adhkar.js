@@ -0,0 +1,174 @@
+// Catalogue of the fixed phrases of salah and matching against it
+//
+// Between recitations the prayer is made of fixed adhkar (takbir, the tasbih of ruku' and
+// sujud, tashahhud, salawat, taslim) and a few common du'as. Recognizers garble them and
+// machine translation renders them literally, so a segment made of catalogue phrases
+// (data/adhkar) is shown as their canonical text with the agreed translations instead.
+const fs = require('fs');
+const path = require('path');
+const { matchKey, normalizeWord, similarity, tokenize } = require('./arabic');
+const { alignPrefixes } = require('./align');
+const { transliterateAll } = require('./transliterate');
+
+const CATALOGUE_FILE = path.join(__dirname, '..', 'data', 'adhkar', 'adhkar.json');
+
+const MIN_PHRASE_SCORE = 0.6;   // a stretch of words must be at least this close to a phrase
+const SKIPPED_WORD_COST = 1;    // a heard word that belongs to no phrase (a cough, a stray word)
+const MAX_SEGMENT_WORDS = 150;  // longer segments are recitation, not adhkar
+
+// Catalogue entries with their match keys and transliteration
+function loadAdhkar({ file = CATALOGUE_FILE } = {}) {
+    const { entries } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return entries.map(entry => ({
+        id: entry.id,
+        name: entry.name,
+        arabic: entry.arabic,
+        keys: tokenize(entry.arabic).map(matchKey),
+        transliteration: transliterateAll(entry.arabic),
+        translations: entry.translations
+    }));
+}
+
+function createAdhkarMatcher(entries, options = {}) {
+    const threshold = options.threshold !== undefined ? options.threshold : 0.8;
+    const vocabulary = [...new Set(entries.flatMap(entry => entry.keys))];
+
+    // Each phrase's words as positions in the vocabulary, so a match compares each heard word
+    // with each catalogue word once, however many phrases and stretches it is tried in
+    const catalogue = entries.map((entry) => {
+        const words = entry.keys.map(key => vocabulary.indexOf(key));
+        return { entry, words, vocabulary: new Set(words) };
+    });
+
+    // similarities[i][v]: heard word i against vocabulary word v
+    function compare(keys) {
+        return keys.map(key => Float64Array.from(vocabulary, word => similarity(key, word)));
+    }
+
+    // Most a transcription could score: each word as close as it comes to any catalogue word.
+    // Recitation falls short of the threshold here, before the costlier split below.
+    function bestPossible(similarities) {
+        let total = 0;
+        for (const row of similarities) {
+            total += Math.max(...row);
+        }
+        return total / similarities.length;
+    }
+
+    // Split the words into consecutive phrases (repeats and runs like the tashahhud included),
+    // skipping as few words as possible. best[i] covers the first i words.
+    //
+    // A stretch scores its aligned similarity to the whole phrase over the longer of the two, so
+    // missing and extra words both count against it. Every stretch length from one start is
+    // read off a single alignment (alignPrefixes), keeping a long sitting to a few milliseconds.
+    function cover(keys, similarities) {
+        const heard = keys.map(key => vocabulary.indexOf(key));
+        const best = [{ score: 0, matched: 0, length: 0, previous: null, phrase: null }];
+        for (let i = 0; i < keys.length; i++) {
+            if (!best[i]) continue;
+
+            const consider = (end, candidate) => {
+                if (!best[end] || candidate.score > best[end].score) best[end] = candidate;
+            };
+            consider(i + 1, {
+                score: best[i].score - SKIPPED_WORD_COST,
+                matched: best[i].matched,
+                length: best[i].length + 1,
+                previous: i,
+                phrase: null
+            });
+
+            for (const { entry, words, vocabulary: phraseWords } of catalogue) {
+                // Only phrases that share a word with what follows, give or take a quarter of their length
+                const slack = 1 + Math.floor(words.length / 4);
+                const shortest = Math.max(1, words.length - slack);
+                const longest = Math.min(keys.length - i, words.length + slack);
+                if (shortest > longest) continue;
+                if (!heard.slice(i, i + longest).some(word => phraseWords.has(word))) continue;
+
+                const matched = alignPrefixes(longest, words.length, (a, b) => similarities[i + a][words[b]]);
+                for (let length = shortest; length <= longest; length++) {
+                    const stretchLength = Math.max(length, words.length);
+                    if (matched[length] / stretchLength < MIN_PHRASE_SCORE) continue;
+                    consider(i + length, {
+                        score: best[i].score + 2 * matched[length] - stretchLength,
+                        matched: best[i].matched + matched[length],
+                        length: best[i].length + stretchLength,
+                        previous: i,
+                        phrase: { entry, from: i, to: i + length }
+                    });
+                }
+            }
+        }
+
+        const last = best[keys.length];
+        const phrases = [];
+        for (let end = keys.length; end > 0; end = best[end].previous) {
+            if (best[end].phrase) phrases.unshift(best[end].phrase);
+        }
+        return { phrases, confidence: last.length > 0 ? last.matched / last.length : 0 };
+    }
+
+    // Canonical words of one recitation of a phrase, spread over the time its heard words took
+    function timePhrase({ entry, from, to }, words) {
+        const canonical = entry.arabic.split(/\s+/).filter(Boolean);
+        if (!words[from] || !words[to - 1]) {
+            return canonical.map(word => ({ word, start: null, end: null }));
+        }
+        const start = words[from].start;
+        const step = Math.max(0, words[to - 1].end - start) / canonical.length;
+        const round = seconds => Math.round(seconds * 100) / 100;
+        return canonical.map((word, index) => ({
+            word,
+            start: round(start + step * index),
+            end: round(start + step * (index + 1))
+        }));
+    }
+
+    return {
+        size: entries.length,
+
+        // The catalogue phrases a transcription is made of, or null when it isn't (wholly)
+        // adhkar: { confidence, phrases: [{ id, name, arabic, count, transliteration,
+        // translations, words }] }. A phrase said several times in a row comes once with its
+        // count; its words are every recitation's, timed from options.words (the segment's
+        // timed words, in the order of the text).
+        match(text, matchOptions = {}) {
+            const keys = tokenize(text).map(matchKey);
+            if (keys.length === 0 || keys.length > MAX_SEGMENT_WORDS) return null;
+            const similarities = compare(keys);
+            if (bestPossible(similarities) < threshold) return null;
+
+            const { phrases, confidence } = cover(keys, similarities);
+            if (phrases.length === 0 || confidence < threshold) return null;
+            // One word is only a phrase (آمين) when it is exactly that word
+            if (keys.length === 1 && confidence < 1) return null;
+
+            // Timed words skipping what tokenize() skips, so indices match the keys
+            const words = (matchOptions.words || []).filter(word => normalizeWord(word.word).length > 0);
+            const described = [];
+            for (const phrase of phrases) {
+                const previous = described[described.length - 1];
+                const timed = timePhrase(phrase, words);
+                if (previous && previous.id === phrase.entry.id) {
+                    previous.count++;
+                    previous.words.push(...timed);
+                    continue;
+                }
+                described.push({
+                    id: phrase.entry.id,
+                    name: phrase.entry.name,
+                    arabic: phrase.entry.arabic,
+                    count: 1,
+                    transliteration: phrase.entry.transliteration,
+                    translations: phrase.entry.translations,
+                    words: timed
+                });
+            }
+
+            return { confidence: Math.round(confidence * 100) / 100, phrases: described };
+        }
+    };
+}
+
+module.exports = { loadAdhkar, createAdhkarMatcher };
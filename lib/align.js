@@ -0,0 +1,131 @@
+// Word-level alignment of recognized text against a reference text
+const { similarity } = require('./arabic');
+
+const GAP_PENALTY = -0.6;
+const MATCH_THRESHOLD = 0.8; // similarity at or above this counts as the same word
+const PAIR_THRESHOLD = 0.5;  // below this two words are never paired
+
+// Align source keys (what was heard) against target keys (the reference).
+// Every source word is accounted for. With { local: true } the reference may be entered and
+// left anywhere, so a short phrase can be found inside a longer passage.
+//
+// Returns { score, operations } where each operation is one of
+//   { type: 'match' | 'substitution', sourceIndex, targetIndex, similarity }
+//   { type: 'insertion', sourceIndex }   - heard but not in the reference
+//   { type: 'deletion', targetIndex }    - in the reference but not heard
+function alignTokens(source, target, options = {}) {
+    const local = Boolean(options.local);
+    const n = source.length;
+    const m = target.length;
+    const similarities = new Map();
+
+    const pairSimilarity = (i, j) => {
+        const cacheKey = source[i] + '|' + target[j];
+        if (!similarities.has(cacheKey)) {
+            similarities.set(cacheKey, similarity(source[i], target[j]));
+        }
+        return similarities.get(cacheKey);
+    };
+    const pairScore = (i, j) => {
+        const s = pairSimilarity(i, j);
+        return s < PAIR_THRESHOLD ? -Infinity : 2 * s - 1;
+    };
+
+    // score[i][j]: best alignment of source[0..i) against target[0..j)
+    // (borders are accumulated rather than multiplied so the traceback's equality checks hold exactly)
+    const score = [];
+    for (let i = 0; i <= n; i++) {
+        score.push(new Float64Array(m + 1));
+        if (i > 0) score[i][0] = score[i - 1][0] + GAP_PENALTY;
+    }
+    for (let j = 1; j <= m; j++) {
+        score[0][j] = local ? 0 : score[0][j - 1] + GAP_PENALTY;
+    }
+
+    for (let i = 1; i <= n; i++) {
+        for (let j = 1; j <= m; j++) {
+            score[i][j] = Math.max(
+                score[i - 1][j - 1] + pairScore(i - 1, j - 1),
+                score[i - 1][j] + GAP_PENALTY,
+                score[i][j - 1] + GAP_PENALTY
+            );
+        }
+    }
+
+    // Where the alignment ends in the reference
+    let end = m;
+    if (local) {
+        for (let j = 0; j <= m; j++) {
+            if (score[n][j] > score[n][end]) end = j;
+        }
+    }
+
+    // Trace back
+    const operations = [];
+    let i = n;
+    let j = end;
+    while (i > 0 || (j > 0 && !local)) {
+        if (i > 0 && j > 0 && score[i][j] === score[i - 1][j - 1] + pairScore(i - 1, j - 1)) {
+            const s = pairSimilarity(i - 1, j - 1);
+            operations.push({
+                type: s >= MATCH_THRESHOLD ? 'match' : 'substitution',
+                sourceIndex: i - 1,
+                targetIndex: j - 1,
+                similarity: s
+            });
+            i--;
+            j--;
+        } else if (i > 0 && score[i][j] === score[i - 1][j] + GAP_PENALTY) {
+            operations.push({ type: 'insertion', sourceIndex: i - 1 });
+            i--;
+        } else {
+            operations.push({ type: 'deletion', targetIndex: j - 1 });
+            j--;
+        }
+    }
+    operations.reverse();
+
+    return { score: score[n][end], operations };
+}
+
+// The best alignment of each prefix of a source (n words) against a whole target (m words),
+// scored as alignTokens scores them: matched[length] is the similarity its paired words add up
+// to. One pass serves every prefix, where alignTokens would take one per length.
+// similarityOf(i, j): similarity of source word i and target word j.
+function alignPrefixes(n, m, similarityOf) {
+    let previousScore = new Float64Array(m + 1);
+    let previousMatched = new Float64Array(m + 1);
+    for (let j = 1; j <= m; j++) {
+        previousScore[j] = previousScore[j - 1] + GAP_PENALTY;
+    }
+
+    const matched = new Float64Array(n + 1);
+    matched[0] = previousMatched[m];
+    for (let i = 1; i <= n; i++) {
+        const score = new Float64Array(m + 1);
+        const paired = new Float64Array(m + 1);
+        score[0] = previousScore[0] + GAP_PENALTY;
+        for (let j = 1; j <= m; j++) {
+            const s = similarityOf(i - 1, j - 1);
+            const diagonal = previousScore[j - 1] + (s < PAIR_THRESHOLD ? -Infinity : 2 * s - 1);
+            const insertion = previousScore[j] + GAP_PENALTY;
+            const deletion = score[j - 1] + GAP_PENALTY;
+            score[j] = Math.max(diagonal, insertion, deletion);
+
+            // The step alignTokens' traceback would take from here
+            if (score[j] === diagonal) {
+                paired[j] = previousMatched[j - 1] + s;
+            } else if (score[j] === insertion) {
+                paired[j] = previousMatched[j];
+            } else {
+                paired[j] = paired[j - 1];
+            }
+        }
+        matched[i] = paired[m];
+        previousScore = score;
+        previousMatched = paired;
+    }
+    return matched;
+}
+
+module.exports = { alignTokens, alignPrefixes, MATCH_THRESHOLD };
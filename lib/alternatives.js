@@ -0,0 +1,73 @@
+// The recognizer's other hypotheses for a segment, and corrections picked from them
+//
+// Recognizers return a few alternative transcripts of each utterance, best first. Lined up
+// with the best one, they give each heard word the other words it may have been, which is
+// what the client offers when a doubtful word is tapped. The word the user picks replaces the
+// heard one (lib/transcript.js segments), and the correction is saved with the session.
+const { alignTokens } = require('./align');
+const { matchKey, normalizeWord, tokenize } = require('./arabic');
+
+// Timed words with the words the alternative transcripts have in their place. Each word that
+// some alternative spells differently gets alternatives: [word], best hypothesis first.
+function withAlternatives(words, alternatives) {
+    const keys = words.map(word => matchKey(word.word));
+    const others = words.map(() => []);
+
+    for (const alternative of alternatives || []) {
+        const heard = tokenize(alternative.transcript);
+        const { operations } = alignTokens(keys, heard.map(matchKey));
+        for (const op of operations) {
+            if (op.type !== 'match' && op.type !== 'substitution') continue;
+            const word = heard[op.targetIndex];
+            const found = others[op.sourceIndex];
+            if (normalizeWord(word) !== normalizeWord(words[op.sourceIndex].word) && !found.includes(word)) {
+                found.push(word);
+            }
+        }
+    }
+
+    return words.map((word, index) => (others[index].length > 0 ? { ...word, alternatives: others[index] } : word));
+}
+
+// A correct-word request { sessionId, segmentId, index, word } → the same, checked. Throws an
+// Error whose message can be shown to the user.
+function parseCorrection(request) {
+    const { sessionId, segmentId, index, word } = request || {};
+    if (typeof sessionId !== 'string' || !Number.isInteger(segmentId) || !Number.isInteger(index) ||
+        index < 0 || typeof word !== 'string' || !word.trim()) {
+        throw new Error('Choose a word of a saved transcript to correct');
+    }
+    return { sessionId, segmentId, index, word: word.trim() };
+}
+
+// Put one of a word's alternatives in its place in a segment (in place). The word heard
+// becomes an alternative, so the correction can be undone the same way. Returns what is saved
+// with the session: { segmentId, index, heard, word, at }.
+function applyCorrection(segment, { index, word }) {
+    const timed = segment.words && segment.words[index];
+    if (!timed) {
+        throw new Error('That word is no longer in the transcript');
+    }
+    if (!(timed.alternatives || []).includes(word)) {
+        throw new Error('Choose one of the words the recognizer heard');
+    }
+    const text = segment.arabic.split(/\s+/);
+    if (text.length !== segment.words.length) {
+        throw new Error('This part of the transcript can\'t be corrected word by word');
+    }
+
+    const heard = timed.word;
+    segment.words[index] = {
+        word,
+        start: timed.start,
+        end: timed.end,
+        alternatives: [heard, ...timed.alternatives.filter(alternative => alternative !== word)],
+        corrected: true
+    };
+    text[index] = word;
+    segment.arabic = text.join(' ');
+
+    return { segmentId: segment.id, index, heard, word, at: new Date().toISOString() };
+}
+
+module.exports = { withAlternatives, parseCorrection, applyCorrection };
@@ -0,0 +1,80 @@
+// Arabic text normalization shared by the matchers
+
+// Harakat, Quranic annotation marks (small high letters, stop signs, rub el hizb, sajdah) and tatweel
+const DIACRITICS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g;
+
+// Letter variants that recognizers and mushaf scripts spell differently
+const LETTER_VARIANTS = {
+    '\u0671': '\u0627', // ٱ alef wasla → ا
+    '\u0623': '\u0627', // أ → ا
+    '\u0625': '\u0627', // إ → ا
+    '\u0622': '\u0627', // آ → ا
+    '\u0649': '\u064A', // ى → ي
+    '\u0629': '\u0647', // ة → ه
+    '\u0624': '\u0648', // ؤ → و
+    '\u0626': '\u064A'  // ئ → ي
+};
+
+function stripDiacritics(text) {
+    return text.replace(DIACRITICS, '');
+}
+
+// Undecorated, consistently spelled form of a word (diacritics removed, letter variants unified)
+function normalizeWord(word) {
+    return stripDiacritics(word)
+        .replace(/[\u0671\u0623\u0625\u0622\u0649\u0629\u0624\u0626]/g, letter => LETTER_VARIANTS[letter])
+        .replace(/[^\u0621-\u064A]/g, '');
+}
+
+// Comparison key for fuzzy matching. Long-vowel alefs are dropped after the first letter
+// because Uthmani script writes many of them as a superscript alef (ٱلرَّحۡمَٰنِ / الرحمن,
+// ٱلصِّرَٰطَ / الصراط), so keeping them would make identical words look different.
+function matchKey(word) {
+    const normalized = normalizeWord(word);
+    return normalized.charAt(0) + normalized.slice(1).replace(/\u0627/g, '');
+}
+
+// Words of a text, skipping anything that has no Arabic letters (verse markers, punctuation)
+function tokenize(text) {
+    return (text || '')
+        .split(/\s+/)
+        .filter(word => normalizeWord(word).length > 0);
+}
+
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// 0..1 similarity of two match keys
+function similarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+}
+
+// 12 → '١٢'
+function toArabicDigits(number) {
+    return String(number).replace(/[0-9]/g, digit => String.fromCharCode(0x0660 + Number(digit)));
+}
+
+module.exports = {
+    stripDiacritics,
+    normalizeWord,
+    matchKey,
+    tokenize,
+    levenshtein,
+    similarity,
+    toArabicDigits
+};
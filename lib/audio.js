@@ -0,0 +1,132 @@
+// Audio decoding with ffmpeg
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+const { BYTES_PER_SECOND } = require('./wav');
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+// Compressed audio a decoder may have waiting before ffmpeg reads it (minutes of Opus). More
+// means ffmpeg has stalled, and the recording fails instead of filling memory.
+const MAX_BACKLOG_BYTES = 4 * 1024 * 1024;
+
+// Every decode ends up as the recognizers' input format: 16kHz mono 16-bit PCM
+function toPcm(command) {
+    return command
+        .audioCodec('pcm_s16le')
+        .audioChannels(1)
+        .audioFrequency(16000)
+        .format('s16le');
+}
+
+// Long-lived decoder for one recording: compressed MediaRecorder chunks (WebM/Opus) go in
+// with write(), 16kHz mono 16-bit PCM comes out as 'data' events. Because a single ffmpeg
+// process sees the whole stream, only the first chunk needs to carry the container header.
+function createPcmDecoder() {
+    const decoder = new EventEmitter();
+    const input = new PassThrough();
+    let closed = false; // no more input accepted
+    let finished = false; // 'end' or 'error' already emitted
+
+    const finish = (error) => {
+        closed = true;
+        if (finished) return;
+        finished = true;
+        if (error) {
+            decoder.emit('error', error);
+        } else {
+            decoder.emit('end');
+        }
+    };
+
+    const command = toPcm(ffmpeg(input).inputOptions(['-fflags', 'nobuffer', '-probesize', '32768']))
+        .on('error', error => finish(error));
+
+    const output = command.pipe();
+    output.on('data', pcm => decoder.emit('data', pcm));
+    output.on('end', () => finish());
+
+    decoder.write = (chunk) => {
+        if (closed) return;
+        if (input.writableLength + chunk.length > MAX_BACKLOG_BYTES) {
+            decoder.destroy();
+            decoder.emit('error', new Error('Audio is arriving faster than it can be decoded'));
+            return;
+        }
+        input.write(chunk);
+    };
+
+    // Flush whatever is left and finish ('end' follows)
+    decoder.end = () => {
+        input.end();
+    };
+
+    // Abandon the recording without waiting for output (neither 'end' nor 'error' follows)
+    decoder.destroy = () => {
+        if (finished) return;
+        closed = true;
+        finished = true;
+        // ffmpeg is spawned asynchronously: if it hasn't started yet the kill misses it, and
+        // the ended input is what makes it exit
+        input.end();
+        command.kill('SIGKILL');
+    };
+
+    return decoder;
+}
+
+// Decode a whole audio (or video) file in any format ffmpeg understands, handing the PCM to
+// onData(pcm) part by part as it comes, so a long file is never held in memory. Decoding waits
+// for a promise onData returns. Resolves to the number of bytes decoded once ffmpeg has exited
+// and onData is done with the last part of its output (which may still be on its way when the
+// process exits).
+// A file longer than maxSeconds is rejected with an error whose code is 'too-long' as soon as
+// decoding gets past that point.
+function decodeFile(filePath, { maxSeconds = Infinity, onData }) {
+    return new Promise((resolve, reject) => {
+        let length = 0;
+        let failed = false;
+        let handled = Promise.resolve(); // onData of the parts so far
+
+        const fail = (error) => {
+            if (failed) return;
+            failed = true;
+            reject(error);
+            command.kill('SIGKILL');
+        };
+
+        // Done once ffmpeg exited cleanly and its output has all been handed to onData
+        let exited = false;
+        let drained = false;
+        const finish = () => {
+            if (exited && drained) handled.then(() => !failed && resolve(length));
+        };
+
+        const command = toPcm(ffmpeg(filePath))
+            .on('error', fail)
+            .on('end', () => {
+                exited = true;
+                finish();
+            });
+        const output = command.pipe();
+        output.on('end', () => {
+            drained = true;
+            finish();
+        });
+        output.on('data', (pcm) => {
+            if (failed) return;
+            length += pcm.length;
+            if (length > maxSeconds * BYTES_PER_SECOND) {
+                const error = new Error(`Audio is longer than ${maxSeconds} seconds`);
+                error.code = 'too-long';
+                fail(error);
+                return;
+            }
+
+            output.pause();
+            handled = handled.then(() => onData(pcm)).then(() => output.resume(), fail);
+        });
+    });
+}
+
+module.exports = { createPcmDecoder, decodeFile };
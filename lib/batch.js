@@ -0,0 +1,116 @@
+// Batch transcription of a recorded file: decode it, split it at pauses and recognize the
+// pieces one by one. The result has the same segments as a live recording.
+//
+// The decoded audio (over 100 MB an hour) goes to a temp file as it is decoded, and each piece
+// is read back when its turn comes, so an upload is never held in memory whole.
+const fs = require('fs');
+const { decodeFile } = require('./audio');
+const { createLevelMeter, splitOnSilence } = require('./silence');
+const { tempFilePath } = require('./temp');
+const { BYTES_PER_SECOND, pcmToWav } = require('./wav');
+const { serialize, estimateWords } = require('./transcript');
+const { withAlternatives } = require('./alternatives');
+
+// 90 → '1 minute'
+function minutes(seconds) {
+    const count = Math.floor(seconds / 60);
+    return `${count} minute${count === 1 ? '' : 's'}`;
+}
+
+// How sure the recognizer was of a piece it returned as several results, one after another:
+// the least confidence of any (null unless each has one), and the piece's other hypotheses,
+// each one result swapped for one of its alternatives
+function pieceHypotheses(results, maxAlternatives) {
+    const confidences = results.map(result => result.confidence);
+    const alternatives = results.flatMap((result, index) => (result.alternatives || []).map(alternative => ({
+        transcript: results.map((other, otherIndex) => (otherIndex === index ? alternative.transcript : other.transcript).trim()).filter(Boolean).join(' '),
+        confidence: alternative.confidence
+    })));
+    return {
+        confidence: confidences.every(confidence => typeof confidence === 'number') ? Math.min(...confidences) : null,
+        alternatives: alternatives.slice(0, maxAlternatives)
+    };
+}
+
+// annotate(segment, previousVerse): fills in segment.verse / dhikr / translations / transliteration
+// and returns the matched verse (the same step live segments go through). onProgress(0..1) after
+// each piece. recognition: { languageCode, model, phraseHints, maxAlternatives } for the
+// recognizer, as a live recording has them (lib/recognition.js).
+// A file longer than maxDuration (the longest recording accepted) or maxSeconds (what is left of
+// the day's allowance) is refused before recognition.
+async function transcribeFile(filePath, options) {
+    const pcmPath = tempFilePath('pcm');
+    const pcmFile = await fs.promises.open(pcmPath, 'w+');
+    try {
+        return await transcribePcm(filePath, pcmFile, options);
+    } finally {
+        await pcmFile.close();
+        await fs.promises.unlink(pcmPath).catch(() => {});
+    }
+}
+
+// transcribeFile, with pcmFile (an open file handle) to decode into
+async function transcribePcm(filePath, pcmFile, { recognizer, recognition, annotate, maxPieceSeconds, maxDuration = Infinity, maxSeconds = Infinity, onProgress = () => {} }) {
+    const meter = createLevelMeter();
+    try {
+        await decodeFile(filePath, {
+            maxSeconds: Math.min(maxDuration, maxSeconds),
+            onData: async (pcm) => {
+                meter.write(pcm);
+                await pcmFile.write(pcm);
+            }
+        });
+    } catch (error) {
+        if (error.code === 'too-long') {
+            throw new Error(maxDuration <= maxSeconds
+                ? `Recordings can be at most ${minutes(maxDuration)} long`
+                : `This recording is longer than the ${minutes(maxSeconds)} of transcription left today`);
+        }
+        console.error('Error decoding uploaded audio:', error.message);
+        throw new Error('Could not read this file as audio');
+    }
+    const measured = meter.end();
+    const duration = measured.length / BYTES_PER_SECOND;
+    const pieces = splitOnSilence(measured, { maxSeconds: maxPieceSeconds });
+
+    const segments = [];
+    let previousVerse = null;
+
+    for (const [index, piece] of pieces.entries()) {
+        const pcm = Buffer.alloc(piece.length);
+        await pcmFile.read(pcm, 0, piece.length, piece.offset);
+        const results = await recognizer.recognize(pcmToWav(pcm), recognition);
+        const arabic = results.map(result => result.transcript.trim()).filter(Boolean).join(' ');
+
+        if (arabic) {
+            const timed = results.every(result => result.words);
+            const { confidence, alternatives } = pieceHypotheses(results, recognition.maxAlternatives || 0);
+            const words = timed
+                ? results.flatMap(result => result.words).map(word => ({ ...word, start: piece.start + word.start, end: piece.start + word.end }))
+                : estimateWords(arabic, piece.start, piece.end);
+            const segment = {
+                id: segments.length + 1,
+                start: piece.start,
+                end: piece.end,
+                isFinal: true,
+                arabic,
+                english: '',
+                translations: {},
+                transliteration: {},
+                verse: null,
+                dhikr: null,
+                confidence,
+                alternatives,
+                words: withAlternatives(words, alternatives)
+            };
+            previousVerse = await annotate(segment, previousVerse) || previousVerse;
+            segments.push(serialize(segment));
+        }
+
+        onProgress((index + 1) / pieces.length);
+    }
+
+    return { duration, segments };
+}
+
+module.exports = { transcribeFile };
@@ -0,0 +1,173 @@
+// Application configuration, read once from the environment (.env is loaded by server.js)
+const path = require('path');
+const { LOCALES, MODELS } = require('./recognition');
+
+// Comma-separated environment variable → trimmed, non-empty entries
+function list(value) {
+    return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+// Whole number from the environment, where 0 is a valid setting (no limit)
+function count(value, fallback) {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) ? fallback : Math.max(0, number);
+}
+
+// Comma-separated choices from the environment, or the fallback when none are set
+function listOr(value, fallback) {
+    const entries = list(value);
+    return entries.length > 0 ? entries : fallback;
+}
+
+// Proxies in front of the app: a count, or true for one
+function proxies(value) {
+    return value === 'true' ? 1 : count(value, 0);
+}
+
+// Decimal number from the environment
+function amount(value, fallback) {
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? fallback : Math.max(0, number);
+}
+
+const speechProvider = (process.env.SPEECH_PROVIDER || 'google').toLowerCase();
+const translationProvider = (process.env.TRANSLATION_PROVIDER || process.env.SPEECH_PROVIDER || 'google').toLowerCase();
+const languageCode = process.env.SPEECH_LANGUAGE || 'ar-SA';
+const speechModel = process.env.SPEECH_MODEL || 'default';
+
+// Hosts that always run the app behind their proxy, told apart by a variable they set
+const PROXY_HOSTS = ['RAILWAY_ENVIRONMENT', 'DYNO', 'RENDER'];
+
+const config = {
+    port: process.env.PORT || 3000,
+
+    // Which engine handles speech-to-text: 'google', 'local' or 'fake'
+    speechProvider,
+
+    // Which engine handles Arabic → English translation. Defaults to the speech provider
+    // so SPEECH_PROVIDER=fake (or local) alone is enough to run without Google Cloud.
+    translationProvider,
+
+    // Recognition language for recordings and uploads that don't choose one
+    languageCode,
+
+    // What clients may choose per recording (lib/recognition.js); the defaults are always offered
+    recognition: {
+        defaultLocale: languageCode,
+        locales: [...new Set([languageCode, ...listOr(process.env.SPEECH_LOCALES, Object.keys(LOCALES))])],
+        defaultModel: speechModel,
+        // Only Google has more than one model
+        models: [...new Set([speechModel, ...listOr(process.env.SPEECH_MODELS, speechProvider === 'google' ? Object.keys(MODELS) : [])])],
+        // Words or phrases a recording may ask the recognizer to expect (0: none)
+        maxPhraseHints: count(process.env.MAX_PHRASE_HINTS, 50),
+        // Other hypotheses asked of the recognizer for each utterance, offered when a doubtful
+        // word is tapped (0: none)
+        maxAlternatives: count(process.env.MAX_ALTERNATIVES, 3)
+    },
+
+    // Translation languages clients may choose from (see lib/languages.js)
+    translationLanguages: (process.env.TRANSLATION_LANGUAGES || 'en,ur,id,tr,fr,bn')
+        .split(',')
+        .map(code => code.trim().toLowerCase())
+        .filter(Boolean),
+
+    // Who may connect (lib/access.js)
+    access: {
+        // Browser origins allowed to use the server, e.g. https://understandsalah.netlify.app
+        // (empty: any origin, for development)
+        allowedOrigins: list(process.env.ALLOWED_ORIGINS),
+        // "name:key" access tokens or mosque invite keys; when set, recording, uploads and
+        // saved sessions need one
+        keys: list(process.env.ACCESS_KEYS),
+        // Behind proxies, take the client address from X-Forwarded-For, that many entries from
+        // the right. One by default on Railway, Heroku and Render, where every request would
+        // otherwise come from the proxy's address
+        trustProxy: process.env.TRUST_PROXY
+            ? proxies(process.env.TRUST_PROXY)
+            : (PROXY_HOSTS.some(name => process.env[name]) ? 1 : 0)
+    },
+
+    // Usage limits protecting the speech recognition bill (lib/limits.js), 0 for none
+    limits: {
+        clientMinutesPerDay: count(process.env.MAX_MINUTES_PER_CLIENT_PER_DAY, 240),
+        totalMinutesPerDay: count(process.env.MAX_MINUTES_PER_DAY, 600),
+        clientSessions: count(process.env.MAX_SESSIONS_PER_CLIENT, 2),
+        totalSessions: count(process.env.MAX_SESSIONS, 20)
+    },
+
+    // Caps on one live recording, so a single client can't fill the server's memory or disk
+    // (0 for none). Uploads are held to the same length.
+    recording: {
+        maxSeconds: count(process.env.MAX_RECORDING_MINUTES, 180) * 60,
+        maxBytes: count(process.env.MAX_RECORDING_MB, 100) * 1024 * 1024,
+        // Largest audio-chunk message (MediaRecorder sends a few KB every 500ms)
+        maxChunkBytes: (parseInt(process.env.MAX_AUDIO_CHUNK_KB, 10) || 256) * 1024,
+        // How long a recording waits for its client to reconnect and resume it (0: ends at once)
+        resumeGraceSeconds: count(process.env.RESUME_GRACE_SECONDS, 120)
+    },
+
+    // Voice activity detection on live recordings (lib/silence.js): only speech is sent to the
+    // recognizer, and a pause this long ends the segment
+    voiceActivity: {
+        enabled: process.env.VOICE_ACTIVITY_DETECTION !== 'false',
+        pauseSeconds: amount(process.env.VOICE_PAUSE_SECONDS, 0.8)
+    },
+
+    // Prices used for the estimated cost in /metrics (US dollars; Google's list prices by
+    // default, nothing for the local and fake engines)
+    costs: {
+        speechPerMinute: amount(process.env.SPEECH_COST_PER_MINUTE, speechProvider === 'google' ? 0.016 : 0),
+        translationPerMillionChars: amount(process.env.TRANSLATION_COST_PER_MILLION_CHARS, translationProvider === 'google' ? 20 : 0)
+    },
+
+    // Machine translation around the provider (lib/glossary.js)
+    translation: {
+        // Admin overrides merged over the shipped data/glossary/glossary.json
+        glossaryFile: process.env.GLOSSARY_FILE || '',
+        // Translations kept in memory by language and normalized Arabic (0 turns the cache off)
+        cacheSize: count(process.env.TRANSLATION_CACHE_SIZE, 2000)
+    },
+
+    // Verse matching against the bundled Quran corpus (lib/quran.js)
+    quran: {
+        // 0..1 share of recognized words that must align with the verse text
+        matchThreshold: parseFloat(process.env.QURAN_MATCH_THRESHOLD) || 0.75,
+        // Least time (ms) between matching one segment's interims to the Quran and the adhkar;
+        // interims in between show the last match (0: match every interim)
+        interimMatchMs: count(process.env.INTERIM_MATCH_MS, 1000)
+    },
+
+    // Matching against the catalogue of the prayer's fixed phrases (lib/adhkar.js)
+    adhkar: {
+        // 0..1 similarity of the whole segment to the catalogue phrases it is split into
+        matchThreshold: parseFloat(process.env.ADHKAR_MATCH_THRESHOLD) || 0.8
+    },
+
+    // Vowel marks added to recognized Arabic (lib/tashkeel.js), for sessions that don't choose
+    restoreTashkeel: process.env.RESTORE_TASHKEEL !== 'false',
+
+    // Saved recording sessions (lib/store.js)
+    sessions: {
+        dir: process.env.SESSION_STORE_DIR || path.join(__dirname, '..', 'storage', 'sessions'),
+        // Keep the original audio next to each transcript
+        saveAudio: process.env.SAVE_SESSION_AUDIO === 'true'
+    },
+
+    // Uploaded files transcribed in the background (POST /api/transcribe)
+    uploads: {
+        maxBytes: (parseInt(process.env.MAX_UPLOAD_MB, 10) || 200) * 1024 * 1024,
+        // Longest piece sent to the recognizer in one request (Google's limit is 60s)
+        maxPieceSeconds: parseInt(process.env.UPLOAD_PIECE_SECONDS, 10) || 30
+    },
+
+    // Local offline engine (whisper.cpp compatible CLI and model on disk)
+    local: {
+        whisperBin: process.env.LOCAL_WHISPER_BIN || 'whisper-cli',
+        whisperModel: process.env.LOCAL_WHISPER_MODEL || '',
+        whisperThreads: parseInt(process.env.LOCAL_WHISPER_THREADS, 10) || 4,
+        // LibreTranslate compatible server, e.g. one running on the same laptop
+        translateUrl: process.env.LOCAL_TRANSLATE_URL || 'http://localhost:5000'
+    }
+};
+
+module.exports = config;
@@ -0,0 +1,190 @@
+// Export a saved session's timed transcript as subtitles (SRT, WebVTT), text (Markdown,
+// plain) or a printable bilingual HTML page (the browser's "Save as PDF" makes the PDF).
+const { toArabicDigits } = require('./arabic');
+const { LANGUAGES } = require('./languages');
+
+// Cues shorter than this are stretched so subtitle players still show them
+const MIN_CUE_SECONDS = 0.5;
+
+// Arabic and translated lines for each segment, with matched Quran verses and adhkar shown as
+// their canonical text. Ayat already shown by an earlier (overlapping) match are skipped, the
+// same way the live view does it.
+function exportEntries(session, language) {
+    const shownAyat = new Set();
+    const entries = [];
+
+    for (const segment of session.segments || []) {
+        const entry = {
+            start: segment.start,
+            end: Math.max(segment.end, segment.start + MIN_CUE_SECONDS),
+            arabic: segment.arabic,
+            translation: (segment.translations && segment.translations[language]) ||
+                (language === 'en' ? segment.english || '' : ''),
+            reference: null
+        };
+
+        if (segment.verse) {
+            const verse = segment.verse;
+            const ayat = verse.ayat.filter(ayah => !shownAyat.has(`${verse.surah}:${ayah.ayah}`));
+            if (ayat.length === 0) continue;
+            ayat.forEach(ayah => shownAyat.add(`${verse.surah}:${ayah.ayah}`));
+
+            entry.arabic = ayat.map(ayah => `${ayah.arabic} ﴿${toArabicDigits(ayah.ayah)}﴾`).join(' ');
+            if (ayat.every(ayah => ayah.translations[language])) {
+                entry.translation = ayat.map(ayah => ayah.translations[language]).join(' ');
+            }
+            entry.reference = ayat.length === 1
+                ? `${verse.surahTransliteration} ${verse.surah}:${ayat[0].ayah}`
+                : `${verse.surahTransliteration} ${verse.surah}:${ayat[0].ayah}-${ayat[ayat.length - 1].ayah}`;
+        }
+
+        if (segment.dhikr) {
+            const phrases = segment.dhikr.phrases;
+            entry.arabic = phrases
+                .map(phrase => (phrase.count > 1 ? `${phrase.arabic} (×${toArabicDigits(phrase.count)})` : phrase.arabic))
+                .join(' ');
+            if (phrases.every(phrase => phrase.translations[language])) {
+                entry.translation = phrases
+                    .map(phrase => (phrase.count > 1 ? `${phrase.translations[language]} (×${phrase.count})` : phrase.translations[language]))
+                    .join(' ');
+            }
+            entry.reference = [...new Set(phrases.map(phrase => phrase.name))].join(', ');
+        }
+
+        if (entry.arabic) entries.push(entry);
+    }
+
+    return entries;
+}
+
+// 75.5 → "00:01:15,500" (SRT) / "00:01:15.500" (WebVTT)
+function timestamp(seconds, separator) {
+    const millis = Math.round(seconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(millis / 3600000))}:${pad(Math.floor(millis / 60000) % 60)}:` +
+        `${pad(Math.floor(millis / 1000) % 60)}${separator}${pad(millis % 1000, 3)}`;
+}
+
+// m:ss for headings and list items
+function clock(seconds) {
+    const total = Math.round(seconds);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function title(session) {
+    return `Salah transcript - ${new Date(session.startedAt).toUTCString()}`;
+}
+
+// Subtitle cue text: Arabic line, then the translation
+function cueText(entry) {
+    return entry.translation ? `${entry.arabic}\n${entry.translation}` : entry.arabic;
+}
+
+function toSrt(session, language) {
+    return exportEntries(session, language)
+        .map((entry, index) => `${index + 1}\n${timestamp(entry.start, ',')} --> ${timestamp(entry.end, ',')}\n${cueText(entry)}\n`)
+        .join('\n');
+}
+
+function toVtt(session, language) {
+    const cues = exportEntries(session, language)
+        .map(entry => `${timestamp(entry.start, '.')} --> ${timestamp(entry.end, '.')}\n${cueText(entry)}\n`);
+    return ['WEBVTT\n', ...cues].join('\n');
+}
+
+function toMarkdown(session, language) {
+    const lines = [`# ${title(session)}`, ''];
+    exportEntries(session, language).forEach(entry => {
+        const reference = entry.reference ? ` · ${entry.reference}` : '';
+        lines.push(`**[${clock(entry.start)}]${reference}**`, '', `> ${entry.arabic}`, '');
+        if (entry.translation) lines.push(entry.translation, '');
+    });
+    return lines.join('\n');
+}
+
+function toText(session, language) {
+    const lines = [title(session), ''];
+    exportEntries(session, language).forEach(entry => {
+        const reference = entry.reference ? ` (${entry.reference})` : '';
+        lines.push(`[${clock(entry.start)}]${reference}`, entry.arabic);
+        if (entry.translation) lines.push(entry.translation);
+        lines.push('');
+    });
+    return lines.join('\n');
+}
+
+// Side-by-side Arabic (right-to-left) and translation table, laid out for printing
+function toHtml(session, language) {
+    const dir = LANGUAGES[language] ? LANGUAGES[language].dir : 'ltr';
+    const rows = exportEntries(session, language).map(entry => `
+        <tr>
+            <td class="time">${clock(entry.start)}${entry.reference ? `<br><span class="reference">${escapeHtml(entry.reference)}</span>` : ''}</td>
+            <td class="translation" dir="${dir}" lang="${language}">${escapeHtml(entry.translation)}</td>
+            <td class="arabic" dir="rtl" lang="ar">${escapeHtml(entry.arabic)}</td>
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title(session))}</title>
+    <style>
+        body { font-family: 'Segoe UI', 'Helvetica Neue', sans-serif; margin: 2em; color: #222; }
+        h1 { font-size: 1.3em; }
+        .meta { color: #666; }
+        table { width: 100%; border-collapse: collapse; }
+        td { padding: 0.6em; border-bottom: 1px solid #ddd; vertical-align: top; }
+        tr { page-break-inside: avoid; }
+        .time { width: 4em; color: #666; font-size: 0.85em; white-space: nowrap; }
+        .reference { color: #1E5631; }
+        .translation { width: 45%; line-height: 1.5; }
+        .arabic { width: 45%; font-family: 'Amiri', 'Traditional Arabic', 'Arial', serif; font-size: 1.4em; line-height: 1.9; text-align: right; }
+        .print-button { margin: 1em 0; padding: 0.5em 1em; }
+        @media print {
+            body { margin: 0; }
+            .print-button { display: none; }
+        }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(title(session))}</h1>
+    <p class="meta">Duration ${clock(session.duration || 0)}</p>
+    <button class="print-button" onclick="window.print()">Print / Save as PDF</button>
+    <table>${rows}
+    </table>
+</body>
+</html>
+`;
+}
+
+const FORMATS = {
+    srt: { extension: 'srt', contentType: 'application/x-subrip', render: toSrt },
+    vtt: { extension: 'vtt', contentType: 'text/vtt', render: toVtt },
+    md: { extension: 'md', contentType: 'text/markdown', render: toMarkdown },
+    txt: { extension: 'txt', contentType: 'text/plain', render: toText },
+    html: { extension: 'html', contentType: 'text/html', render: toHtml }
+};
+
+// Render a session in one of FORMATS, with its translation into language; null for an
+// unknown format
+function exportSession(session, format, language = 'en') {
+    const exporter = FORMATS[format];
+    if (!exporter) return null;
+
+    const date = session.startedAt.slice(0, 16).replace('T', '-').replace(':', '');
+    return {
+        filename: `salah-${date}.${exporter.extension}`,
+        contentType: exporter.contentType,
+        body: exporter.render(session, language)
+    };
+}
+
+module.exports = { exportSession, FORMATS };
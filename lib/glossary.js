@@ -0,0 +1,174 @@
+// Islamic terminology glossary applied around machine translation, and a cache of translations.
+//
+// Machine translation renders terms inconsistently (الله as "God", رب as anything from "Lord" to
+// "Master") and mangles the fixed phrases of the prayer. The glossary (data/glossary, plus an
+// optional override file) gives each term or phrase its preferred rendering per language:
+//   - a text that is exactly a glossary phrase is answered from the glossary, untranslated
+//   - terms inside a text are swapped for numbered placeholders before translation and for
+//     their renderings after it
+//   - renderings to avoid ("God") are replaced by the preferred one when the Arabic has the term
+// Translations are cached by language and normalized Arabic, so the phrases repeated every
+// rak'ah are only paid for once.
+const fs = require('fs');
+const path = require('path');
+const { normalizeWord, tokenize } = require('./arabic');
+
+const GLOSSARY_FILE = path.join(__dirname, '..', 'data', 'glossary', 'glossary.json');
+
+// Comparison form of an Arabic text: its words without diacritics, spelled consistently
+function normalizeText(text) {
+    return tokenize(text).map(normalizeWord).join(' ');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Entries of the shipped glossary, with those of `overrideFile` merged over them: an override
+// entry for the same Arabic replaces its renderings (and avoid list) language by language
+function loadGlossary({ file = GLOSSARY_FILE, overrideFile } = {}) {
+    const entries = new Map();
+    const merge = (source) => {
+        const { entries: list = [] } = JSON.parse(fs.readFileSync(source, 'utf8'));
+        for (const entry of list) {
+            const key = normalizeText(entry.arabic);
+            const existing = entries.get(key) || { arabic: entry.arabic, also: [], translations: {}, avoid: {} };
+            entries.set(key, {
+                arabic: existing.arabic,
+                also: [...new Set([...existing.also, ...(entry.also || [])])],
+                translations: { ...existing.translations, ...entry.translations },
+                avoid: { ...existing.avoid, ...entry.avoid }
+            });
+        }
+    };
+
+    merge(file);
+    if (overrideFile) {
+        merge(overrideFile);
+    }
+    return createGlossary([...entries.values()]);
+}
+
+function createGlossary(entries) {
+    // normalized Arabic → entry; phrases are matched longest first
+    const byKey = new Map(entries.map(entry => [normalizeText(entry.arabic), entry]));
+    const longest = Math.max(1, ...[...byKey.keys()].map(key => key.split(' ').length));
+
+    return {
+        size: byKey.size,
+
+        // The glossary rendering of a whole text, or null
+        lookup(text, language) {
+            const entry = byKey.get(normalizeText(text));
+            return (entry && entry.translations[language]) || null;
+        },
+
+        // The text with the terms that have a rendering in `language` replaced by [[n]]
+        // placeholders, and those renderings in placeholder order
+        protect(text, language) {
+            const words = text.split(/\s+/).filter(Boolean);
+            const output = [];
+            const renderings = [];
+
+            for (let i = 0; i < words.length;) {
+                let matched = 0;
+                for (let length = Math.min(longest, words.length - i); length > 0 && !matched; length--) {
+                    const entry = byKey.get(words.slice(i, i + length).map(normalizeWord).join(' '));
+                    if (entry && entry.translations[language]) {
+                        renderings.push(entry.translations[language]);
+                        output.push(`[[${renderings.length}]]`);
+                        matched = length;
+                    }
+                }
+                if (!matched) output.push(words[i]);
+                i += matched || 1;
+            }
+            return { text: output.join(' '), renderings };
+        },
+
+        // Placeholders back to renderings; null when the translation lost one of them
+        restore(translated, renderings) {
+            let restored = translated;
+            for (const [index, rendering] of renderings.entries()) {
+                const placeholder = new RegExp(`\\[\\[\\s*${index + 1}\\s*\\]\\]`, 'g');
+                if (!placeholder.test(restored)) return null;
+                restored = restored.replace(placeholder, rendering);
+            }
+            return restored;
+        },
+
+        // Replace renderings to avoid ("God") with the preferred one, for the terms in the Arabic
+        preferRenderings(translated, arabic, language) {
+            const normalized = normalizeText(arabic);
+            let result = translated;
+            for (const [key, entry] of byKey) {
+                const avoid = entry.avoid[language];
+                const preferred = entry.translations[language];
+                if (!avoid || !preferred) continue;
+                if (!normalized.includes(key) && !entry.also.some(form => normalized.includes(normalizeText(form)))) continue;
+
+                for (const rendering of avoid) {
+                    // Whole words only, in any script; case-sensitive so "no god but God" keeps its "god"
+                    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(rendering)}(?![\\p{L}\\p{N}])`, 'gu');
+                    result = result.replace(pattern, preferred);
+                }
+            }
+            return result;
+        }
+    };
+}
+
+// A translator (same interface) that applies the glossary around `translator` and caches up to
+// `cacheSize` results (0 turns the cache off)
+function createGlossaryTranslator(translator, { glossary, cacheSize = 0 }) {
+    const cache = new Map(); // insertion order doubles as least recently used first
+
+    async function translateWithGlossary(text, { from, to }) {
+        const fixed = glossary.lookup(text, to);
+        if (fixed) return fixed;
+
+        const { text: protectedText, renderings } = glossary.protect(text, to);
+        let translated = await translator.translate(protectedText, { from, to });
+        if (renderings.length > 0) {
+            const restored = glossary.restore(translated, renderings);
+            if (restored === null) {
+                console.warn(`Translation (${to}) dropped a glossary placeholder; translating without them`);
+                translated = await translator.translate(text, { from, to });
+            } else {
+                translated = restored;
+            }
+        }
+        return glossary.preferRenderings(translated, text, to);
+    }
+
+    return {
+        name: translator.name,
+
+        translate(text, options) {
+            if (cacheSize === 0) return translateWithGlossary(text, options);
+
+            // Arabic is cached by its normalized words (spelling variants share a translation);
+            // anything else by its text, as normalizing would leave nothing of it
+            const source = options.from === 'ar' ? normalizeText(text) : text;
+            const key = `${options.from}\n${options.to}\n${source}`;
+            if (cache.has(key)) {
+                const cached = cache.get(key);
+                cache.delete(key);
+                cache.set(key, cached);
+                return cached;
+            }
+
+            // The pending promise is cached, so a phrase repeated while it is being translated
+            // is not sent twice; a failure is forgotten so the next attempt tries again
+            const pending = translateWithGlossary(text, options);
+            cache.set(key, pending);
+            pending.catch(() => cache.delete(key));
+            if (cache.size > cacheSize) {
+                cache.delete(cache.keys().next().value);
+            }
+            return pending;
+        }
+    };
+}
+
+module.exports = { loadGlossary, createGlossary, createGlossaryTranslator, normalizeText };
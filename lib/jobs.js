@@ -0,0 +1,64 @@
+// Background jobs (uploaded-file transcription) with pollable status. Jobs run one at a
+// time - each one keeps ffmpeg and the recognizer busy - and are forgotten an hour after
+// they finish.
+const crypto = require('crypto');
+
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+function createJobQueue() {
+    const jobs = new Map(); // id → job
+    let queue = Promise.resolve();
+
+    function expire(job) {
+        setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+    }
+
+    return {
+        // Queue run(job) and return the job right away. run() may update job.progress (0..1)
+        // and resolves with the job's result.
+        add(details, run) {
+            const job = {
+                id: crypto.randomUUID(),
+                status: 'queued',
+                progress: 0,
+                createdAt: new Date().toISOString(),
+                ...details,
+                result: null,
+                error: null
+            };
+            jobs.set(job.id, job);
+
+            queue = queue.then(async () => {
+                job.status = 'processing';
+                try {
+                    job.result = await run(job);
+                    job.progress = 1;
+                    job.status = 'complete';
+                } catch (error) {
+                    job.status = 'failed';
+                    job.error = error.message;
+                }
+                job.finishedAt = new Date().toISOString();
+                expire(job);
+            });
+
+            return job;
+        },
+
+        get(id) {
+            return jobs.get(id) || null;
+        },
+
+        // Jobs waiting ahead of this one
+        position(job) {
+            let ahead = 0;
+            for (const other of jobs.values()) {
+                if (other === job) break;
+                if (other.status === 'queued' || other.status === 'processing') ahead++;
+            }
+            return ahead;
+        }
+    };
+}
+
+module.exports = { createJobQueue };
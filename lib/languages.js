@@ -0,0 +1,30 @@
+// Translation target languages offered to clients. Quran verses use the bundled translation in
+// data/quran/translations/<code>.json; everything else goes through the translation provider.
+const LANGUAGES = {
+    en: { name: 'English', nativeName: 'English', dir: 'ltr' },
+    ur: { name: 'Urdu', nativeName: 'اردو', dir: 'rtl' },
+    id: { name: 'Indonesian', nativeName: 'Bahasa Indonesia', dir: 'ltr' },
+    tr: { name: 'Turkish', nativeName: 'Türkçe', dir: 'ltr' },
+    fr: { name: 'French', nativeName: 'Français', dir: 'ltr' },
+    bn: { name: 'Bengali', nativeName: 'বাংলা', dir: 'ltr' }
+};
+
+const DEFAULT_LANGUAGES = ['en'];
+
+// Catalogue entries for the configured language codes (unknown codes are skipped)
+function describeLanguages(codes) {
+    return codes
+        .filter(code => LANGUAGES[code])
+        .map(code => ({ code, ...LANGUAGES[code] }));
+}
+
+// A client's requested languages: known, enabled codes only, without duplicates, in the
+// order given. Falls back to the default when nothing usable was asked for.
+function pickLanguages(requested, enabled) {
+    const list = Array.isArray(requested) ? requested : [requested];
+    const picked = [...new Set(list.map(code => String(code || '').toLowerCase()))]
+        .filter(code => LANGUAGES[code] && enabled.includes(code));
+    return picked.length > 0 ? picked : DEFAULT_LANGUAGES.filter(code => enabled.includes(code));
+}
+
+module.exports = { LANGUAGES, describeLanguages, pickLanguages };
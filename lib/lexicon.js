@@ -0,0 +1,86 @@
+// Word lookup for tapping a word of the transcript: its root, part of speech, morphology and
+// meaning, from a bundled lexicon of the words of the prayer (data/lexicon)
+//
+// Words are found by their match key, so recognized text without vowel marks finds the
+// vowelled entry. A word the lexicon doesn't list is tried again without the letters that
+// attach to the front of Arabic words (wa-, fa-, bi-, li-, ka-, the article), so وَالنَّاسِ
+// finds النَّاسِ when only that form is listed.
+const fs = require('fs');
+const path = require('path');
+const { matchKey, normalizeWord, stripDiacritics } = require('./arabic');
+
+const LEXICON_FILE = path.join(__dirname, '..', 'data', 'lexicon', 'lexicon.json');
+
+// Prefixes in the order they attach: a conjunction, then a preposition, then the article
+const CONJUNCTIONS = ['و', 'ف'];
+const PREPOSITIONS = ['ب', 'ل', 'ك'];
+const ARTICLE = 'ال';
+// Shortest word left once prefixes are taken off: shorter remainders are particles or chance
+// (فلان is not fa- li- ان)
+const MIN_STEM_LETTERS = 3;
+
+function loadLexicon({ file = LEXICON_FILE } = {}) {
+    const { entries } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return entries;
+}
+
+// Normalized forms of a word with fewer and fewer prefixes, the whole word first
+function stems(normalized) {
+    const forms = [normalized];
+    const add = (form) => {
+        if (form.length >= MIN_STEM_LETTERS && !forms.includes(form)) forms.push(form);
+    };
+
+    const afterConjunction = CONJUNCTIONS.includes(normalized[0]) ? [normalized, normalized.slice(1)] : [normalized];
+    for (const form of afterConjunction) {
+        add(form);
+        if (PREPOSITIONS.includes(form[0])) {
+            // li- before the article drops its alef: للمصلين is لـ + المصلين
+            const rest = form.startsWith('لل') ? ARTICLE + form.slice(2) : form.slice(1);
+            add(rest);
+            if (rest.startsWith(ARTICLE)) add(rest.slice(ARTICLE.length));
+        }
+        if (form.startsWith(ARTICLE)) add(form.slice(ARTICLE.length));
+    }
+    return forms;
+}
+
+function createLexicon(entries) {
+    const byKey = new Map();
+    for (const entry of entries) {
+        const key = matchKey(entry.word);
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(entry);
+    }
+
+    // Closer spellings first: the same letters (hamza and all), then the same normalized word
+    function rank(word, candidates) {
+        const letters = stripDiacritics(word);
+        const normalized = normalizeWord(word);
+        const score = entry => (stripDiacritics(entry.word) === letters ? 2 : 0) +
+            (normalizeWord(entry.word) === normalized ? 1 : 0);
+        return [...candidates].sort((a, b) => score(b) - score(a));
+    }
+
+    return {
+        size: entries.length,
+
+        // The entries a word may be, best match first: { word, entries: [{ word, root, lemma,
+        // pos, morphology, meaning }] }, where each entry's word is the listed form it was found
+        // under. null when the lexicon has nothing for it.
+        lookup(word) {
+            const normalized = normalizeWord(word || '');
+            if (!normalized) return null;
+
+            for (const stem of stems(normalized)) {
+                const found = byKey.get(matchKey(stem));
+                if (found) {
+                    return { word, entries: rank(word, found).map(entry => ({ ...entry })) };
+                }
+            }
+            return null;
+        }
+    };
+}
+
+module.exports = { loadLexicon, createLexicon };
@@ -0,0 +1,103 @@
+// Usage limits that keep paid speech recognition within budget: minutes of audio per client
+// and for the whole server per day (UTC), and recordings running at once per client and in
+// total. 0 means no limit. Usage is kept in memory, so a restart starts the day afresh.
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// limits: { clientMinutesPerDay, totalMinutesPerDay, clientSessions, totalSessions }
+function createUsageLimits(limits, { now = () => new Date() } = {}) {
+    let day = null;
+    const secondsByClient = new Map();
+    let secondsTotal = 0;
+    const activeByClient = new Map();
+    let activeTotal = 0;
+
+    // Daily counts start over at midnight UTC
+    function rollOver() {
+        const today = now().toISOString().slice(0, 10);
+        if (today !== day) {
+            day = today;
+            secondsByClient.clear();
+            secondsTotal = 0;
+        }
+    }
+
+    function resetsAt() {
+        const tomorrow = new Date(`${day}T00:00:00Z`);
+        tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+        return tomorrow.toISOString();
+    }
+
+    // A refusal the client is sent as limit-reached
+    function refusal(limit, message) {
+        return { limit, message, resetsAt: limit.endsWith('minutes') ? resetsAt() : null };
+    }
+
+    function minutesRefusal(clientId) {
+        rollOver();
+        const { clientMinutesPerDay, totalMinutesPerDay } = limits;
+        if (clientMinutesPerDay && (secondsByClient.get(clientId) || 0) >= clientMinutesPerDay * 60) {
+            return refusal('client-minutes', `You have used today's ${plural(clientMinutesPerDay, 'minute')} of transcription. More will be available after midnight UTC.`);
+        }
+        if (totalMinutesPerDay && secondsTotal >= totalMinutesPerDay * 60) {
+            return refusal('total-minutes', 'The server has used up today\'s transcription allowance. Please try again tomorrow.');
+        }
+        return null;
+    }
+
+    return {
+        // Why the client can't transcribe anything more today, or null
+        refuseMinutes: minutesRefusal,
+
+        // Why the client can't start a recording now, or null
+        refuseSession(clientId) {
+            const { clientSessions, totalSessions } = limits;
+            if (clientSessions && (activeByClient.get(clientId) || 0) >= clientSessions) {
+                return refusal('client-sessions', `You already have ${plural(clientSessions, 'recording')} running. Stop one before starting another.`);
+            }
+            if (totalSessions && activeTotal >= totalSessions) {
+                return refusal('total-sessions', `The server is busy with ${plural(totalSessions, 'recording')}. Please try again in a few minutes.`);
+            }
+            return minutesRefusal(clientId);
+        },
+
+        // Seconds of audio the client may still have transcribed today (Infinity if unlimited)
+        secondsLeft(clientId) {
+            rollOver();
+            const { clientMinutesPerDay, totalMinutesPerDay } = limits;
+            const clientLeft = clientMinutesPerDay ? clientMinutesPerDay * 60 - (secondsByClient.get(clientId) || 0) : Infinity;
+            const totalLeft = totalMinutesPerDay ? totalMinutesPerDay * 60 - secondsTotal : Infinity;
+            return Math.max(0, Math.min(clientLeft, totalLeft));
+        },
+
+        // A recording starts or ends
+        begin(clientId) {
+            activeByClient.set(clientId, (activeByClient.get(clientId) || 0) + 1);
+            activeTotal++;
+        },
+        end(clientId) {
+            const active = (activeByClient.get(clientId) || 0) - 1;
+            if (active > 0) activeByClient.set(clientId, active);
+            else activeByClient.delete(clientId);
+            activeTotal = Math.max(0, activeTotal - 1);
+        },
+
+        // Count seconds of transcribed audio. Returns the refusal once a daily limit is used up.
+        add(clientId, seconds) {
+            rollOver();
+            secondsByClient.set(clientId, (secondsByClient.get(clientId) || 0) + seconds);
+            secondsTotal += seconds;
+            return minutesRefusal(clientId);
+        },
+
+        // Today's totals, e.g. for monitoring
+        usage() {
+            rollOver();
+            return { day, secondsToday: secondsTotal, activeSessions: activeTotal, clients: secondsByClient.size };
+        }
+    };
+}
+
+module.exports = { createUsageLimits };
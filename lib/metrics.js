@@ -0,0 +1,199 @@
+// Prometheus metrics, written out in the text exposition format for GET /metrics.
+//
+// A small registry of counters, gauges and histograms (labels optional), the metrics the app
+// keeps, and provider wrappers that time recognition and translation and count the audio and
+// characters sent, which is what the estimated cost is worked out from.
+const { BYTES_PER_SECOND, pcmFromWav } = require('./wav');
+
+// Upper bounds (seconds) of the latency histograms
+const RECOGNITION_BUCKETS = [0.25, 0.5, 1, 2, 3, 5, 10, 30];
+const TRANSLATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 5];
+// Moments remembered per stream to time its results against (a few minutes of audio)
+const MAX_STREAM_MARKS = 1000;
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// { type: 'decode' } → '{type="decode"}'
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function createRegistry() {
+    const metrics = [];
+
+    // Values by label set, kept with the labels they came from
+    function series() {
+        const values = new Map();
+        return {
+            get(labels, create) {
+                const key = formatLabels(labels);
+                if (!values.has(key)) values.set(key, { labels, value: create() });
+                return values.get(key).value;
+            },
+            set(labels, value) {
+                values.set(formatLabels(labels), { labels, value });
+            },
+            entries() {
+                return [...values.values()];
+            }
+        };
+    }
+
+    return {
+        // A value that only goes up: inc(labels?, amount?)
+        counter(name, help) {
+            const values = series();
+            metrics.push({
+                name, help, type: 'counter',
+                lines: () => values.entries().map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+            });
+            return {
+                inc(labels = {}, amount = 1) {
+                    values.set(labels, values.get(labels, () => 0) + amount);
+                }
+            };
+        },
+
+        // A value read when metrics are scraped
+        gauge(name, help, read) {
+            metrics.push({ name, help, type: 'gauge', lines: () => [`${name} ${read()}`] });
+        },
+
+        // observe(labels, value): counted into every bucket whose bound it is within
+        histogram(name, help, buckets) {
+            const values = series();
+            metrics.push({
+                name, help, type: 'histogram',
+                lines: () => values.entries().flatMap(({ labels, value }) => [
+                    ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[index]}`),
+                    `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`,
+                    `${name}_sum${formatLabels(labels)} ${value.sum}`,
+                    `${name}_count${formatLabels(labels)} ${value.count}`
+                ])
+            });
+            return {
+                observe(labels, value) {
+                    const histogram = values.get(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+                    buckets.forEach((bound, index) => {
+                        if (value <= bound) histogram.counts[index]++;
+                    });
+                    histogram.sum += value;
+                    histogram.count++;
+                }
+            };
+        },
+
+        // Every metric in the Prometheus text format
+        render() {
+            return metrics.map(({ name, help, type, lines }) =>
+                [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines()].join('\n')
+            ).join('\n') + '\n';
+        }
+    };
+}
+
+// The app's metrics. costs: { speechPerMinute, translationPerMillionChars } in US dollars.
+function createMetrics({ costs }) {
+    const registry = createRegistry();
+    const startedAt = Date.now() / 1000;
+
+    registry.gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch', () => startedAt);
+    registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+
+    const audioSeconds = registry.counter('understandsalah_audio_seconds_total', 'Seconds of audio sent to the speech recognizer, by mode (stream or batch)');
+    const translationCharacters = registry.counter('understandsalah_translation_characters_total', 'Characters sent to the translation provider');
+    const estimatedCost = registry.counter('understandsalah_estimated_cost_usd_total', 'Estimated provider cost in US dollars, by service');
+
+    return {
+        registry,
+        recordings: registry.counter('understandsalah_recordings_total', 'Recordings started'),
+        recognitionLatency: registry.histogram('understandsalah_recognition_latency_seconds', 'Time from audio reaching the recognizer to its final result, by mode', RECOGNITION_BUCKETS),
+        translationLatency: registry.histogram('understandsalah_translation_latency_seconds', 'Time taken by the translation provider', TRANSLATION_BUCKETS),
+        errors: registry.counter('understandsalah_errors_total', 'Errors, by type'),
+        limitRefusals: registry.counter('understandsalah_limit_refusals_total', 'Recordings and uploads refused or stopped by a usage limit, by limit'),
+
+        // Audio and text sent to providers, priced as configured
+        countAudio(mode, seconds) {
+            audioSeconds.inc({ mode }, seconds);
+            if (costs.speechPerMinute) estimatedCost.inc({ service: 'speech' }, seconds / 60 * costs.speechPerMinute);
+        },
+        countTranslation(characters) {
+            translationCharacters.inc({}, characters);
+            if (costs.translationPerMillionChars) estimatedCost.inc({ service: 'translation' }, characters / 1e6 * costs.translationPerMillionChars);
+        }
+    };
+}
+
+function secondsSince(startMs) {
+    return (Date.now() - startMs) / 1000;
+}
+
+// A recognizer (same interface) whose audio, latency and errors are counted in `metrics`.
+// A stream's final result is timed from the moment the audio it ends with was written.
+function instrumentRecognizer(recognizer, metrics) {
+    return {
+        name: recognizer.name,
+
+        createStream(options) {
+            const stream = recognizer.createStream(options);
+            const write = stream.write;
+            const marks = []; // [seconds of audio written, when]
+            let written = 0;
+
+            stream.write = (pcm) => {
+                const seconds = pcm.length / BYTES_PER_SECOND;
+                written += seconds;
+                marks.push([written, Date.now()]);
+                if (marks.length > MAX_STREAM_MARKS) marks.shift();
+                metrics.countAudio('stream', seconds);
+                write(pcm);
+            };
+            stream.on('result', (result) => {
+                if (!result.isFinal || result.endTime === undefined) return;
+                const mark = marks.find(([seconds]) => seconds >= result.endTime);
+                if (mark) metrics.recognitionLatency.observe({ mode: 'stream' }, secondsSince(mark[1]));
+            });
+            stream.on('error', () => metrics.errors.inc({ type: 'recognition' }));
+            return stream;
+        },
+
+        async recognize(wavBuffer, options) {
+            const started = Date.now();
+            metrics.countAudio('batch', pcmFromWav(wavBuffer).length / BYTES_PER_SECOND);
+            try {
+                const results = await recognizer.recognize(wavBuffer, options);
+                metrics.recognitionLatency.observe({ mode: 'batch' }, secondsSince(started));
+                return results;
+            } catch (error) {
+                metrics.errors.inc({ type: 'recognition' });
+                throw error;
+            }
+        }
+    };
+}
+
+// A translator (same interface) whose characters, latency and errors are counted in `metrics`
+function instrumentTranslator(translator, metrics) {
+    return {
+        name: translator.name,
+
+        async translate(text, options) {
+            const started = Date.now();
+            metrics.countTranslation(text.length);
+            try {
+                const translated = await translator.translate(text, options);
+                metrics.translationLatency.observe({}, secondsSince(started));
+                return translated;
+            } catch (error) {
+                metrics.errors.inc({ type: 'translation' });
+                throw error;
+            }
+        }
+    };
+}
+
+module.exports = { createRegistry, createMetrics, instrumentRecognizer, instrumentTranslator };
@@ -0,0 +1,153 @@
+// Recitation practice: a learner's attempt aligned word by word against the passage they
+// meant to recite, so the client can show what was missed, added or mispronounced.
+const { matchKey, normalizeWord } = require('./arabic');
+const { alignTokens } = require('./align');
+
+// Longer passages make the alignment table too big to score in one go
+const MAX_PASSAGE_WORDS = 1000;
+// Recognized words beyond this multiple of the passage length are not scored
+const MAX_HEARD_RATIO = 3;
+
+// Check a requested passage { surah, ayahStart, ayahEnd } against the corpus, filling in the
+// whole surah when the ayat are left out. Throws an Error with a message for the user.
+function resolvePassage(corpus, request) {
+    const surahNumber = Number(request.surah);
+    const surah = Number.isInteger(surahNumber) ? corpus.surahs[surahNumber - 1] : null;
+    if (!surah) {
+        throw new Error('Choose a surah between 1 and 114');
+    }
+
+    const ayahStart = request.ayahStart ? Number(request.ayahStart) : 1;
+    const ayahEnd = request.ayahEnd ? Number(request.ayahEnd) : surah.ayahCount;
+    if (!Number.isInteger(ayahStart) || !Number.isInteger(ayahEnd) || ayahStart < 1 || ayahEnd > surah.ayahCount || ayahStart > ayahEnd) {
+        throw new Error(`Surah ${surah.transliteration} has ayat 1 to ${surah.ayahCount}`);
+    }
+
+    const passage = { surah: surah.number, ayahStart, ayahEnd };
+    if (passageWords(corpus, passage).length > MAX_PASSAGE_WORDS) {
+        throw new Error(`Choose a shorter passage (up to ${MAX_PASSAGE_WORDS} words)`);
+    }
+    return passage;
+}
+
+// The passage a recording recited: the verses the whole attempt matches, or failing that the
+// surah of the first matched segment, from its lowest to its highest matched ayah. Cut to
+// MAX_PASSAGE_WORDS like a chosen passage. null when nothing was matched.
+function detectPassage(corpus, segments, verseMatcher) {
+    const whole = verseMatcher.match(segments.map(segment => segment.arabic).join(' '));
+    if (whole) {
+        const ayat = [];
+        for (let ayah = whole.ayahStart; ayah <= whole.ayahEnd; ayah++) ayat.push(ayah);
+        return trimPassage(corpus, { surah: whole.surah, ayahStart: whole.ayahStart, ayahEnd: whole.ayahEnd }, ayat);
+    }
+
+    const matched = segments.filter(segment => segment.verse);
+    if (matched.length === 0) return null;
+
+    const surah = matched[0].verse.surah;
+    const ayat = matched
+        .filter(segment => segment.verse.surah === surah)
+        .flatMap(segment => segment.verse.ayat.map(ayah => ayah.ayah));
+    return trimPassage(corpus, { surah, ayahStart: Math.min(...ayat), ayahEnd: Math.max(...ayat) }, ayat);
+}
+
+// A detected passage longer than MAX_PASSAGE_WORDS, cut to the run of ayat that holds the most
+// of the matched ones (a stray match far off would otherwise pull in everything in between)
+function trimPassage(corpus, passage, matchedAyat) {
+    const words = passageWords(corpus, passage);
+    if (words.length <= MAX_PASSAGE_WORDS) return passage;
+
+    const matched = new Set(matchedAyat);
+    const ayat = [];
+    for (let ayah = passage.ayahStart; ayah <= passage.ayahEnd; ayah++) {
+        ayat.push({ ayah, words: 0, matched: matched.has(ayah) ? 1 : 0 });
+    }
+    words.forEach(({ ayah }) => ayat[ayah - passage.ayahStart].words++);
+
+    // Widest window of whole ayat within the limit, at each last ayah
+    let best = null;
+    let first = 0;
+    let length = 0;
+    let hits = 0;
+    ayat.forEach((ayah, last) => {
+        length += ayah.words;
+        hits += ayah.matched;
+        while (length > MAX_PASSAGE_WORDS) {
+            length -= ayat[first].words;
+            hits -= ayat[first].matched;
+            first++;
+        }
+        if (first <= last && (!best || hits > best.hits)) {
+            best = { first, last, hits };
+        }
+    });
+
+    // From its first to its last matched ayah
+    const window = ayat.slice(best.first, best.last + 1).filter(ayah => ayah.matched);
+    return { surah: passage.surah, ayahStart: window[0].ayah, ayahEnd: window[window.length - 1].ayah };
+}
+
+// Canonical words of a passage (stop marks left out), each with its ayah
+function passageWords(corpus, { surah, ayahStart, ayahEnd }) {
+    return corpus.verses
+        .filter(verse => verse.surah === surah && verse.ayah >= ayahStart && verse.ayah <= ayahEnd)
+        .flatMap(verse => verse.arabic.split(/\s+/)
+            .filter(word => normalizeWord(word).length > 0)
+            .map(word => ({ word, ayah: verse.ayah })));
+}
+
+// Score recognized words [{ word, start, end }] against a passage. Every passage word gets a
+// status - correct, mispronounced (heard as a different but similar word) or missed - and
+// words heard that aren't in the passage are listed as added where they were said.
+// The score (0-100) counts a mispronounced word as half right, and added words against it.
+function scoreRecitation(corpus, passage, heard) {
+    const surah = corpus.surahs[passage.surah - 1];
+    const expected = passageWords(corpus, passage);
+    const spoken = heard.slice(0, expected.length * MAX_HEARD_RATIO);
+
+    const { operations } = alignTokens(spoken.map(word => matchKey(word.word)), expected.map(entry => matchKey(entry.word)));
+
+    const counts = { correct: 0, mispronounced: 0, missed: 0, added: 0 };
+    const words = [];
+    let ayah = expected.length > 0 ? expected[0].ayah : passage.ayahStart;
+    for (const op of operations) {
+        if (op.type === 'insertion') {
+            const word = spoken[op.sourceIndex];
+            counts.added++;
+            words.push({ word: word.word, ayah, status: 'added', start: word.start, end: word.end });
+            continue;
+        }
+
+        const entry = expected[op.targetIndex];
+        ayah = entry.ayah;
+        if (op.type === 'deletion') {
+            counts.missed++;
+            words.push({ word: entry.word, ayah, status: 'missed', heard: null, start: null, end: null });
+        } else {
+            const word = spoken[op.sourceIndex];
+            // Stricter than verse matching: a near miss (س for ص) is worth pointing out
+            const status = op.similarity === 1 ? 'correct' : 'mispronounced';
+            counts[status]++;
+            words.push({ word: entry.word, ayah, status, heard: word.word, start: word.start, end: word.end });
+        }
+    }
+
+    const total = expected.length + counts.added;
+    return {
+        passage: {
+            reference: passage.ayahStart === passage.ayahEnd
+                ? `${surah.number}:${passage.ayahStart}`
+                : `${surah.number}:${passage.ayahStart}-${passage.ayahEnd}`,
+            surah: surah.number,
+            surahName: surah.name,
+            surahTransliteration: surah.transliteration,
+            ayahStart: passage.ayahStart,
+            ayahEnd: passage.ayahEnd
+        },
+        score: total > 0 ? Math.round(100 * (counts.correct + 0.5 * counts.mispronounced) / total) : 0,
+        counts,
+        words
+    };
+}
+
+module.exports = { resolvePassage, detectPassage, scoreRecitation, MAX_PASSAGE_WORDS };
@@ -0,0 +1,218 @@
+// The structure of a prayer, followed from what is recognized: which rak'ah the imam is in
+// and where in it (standing, ruku', sujud, tashahhud...), for a progress strip and a saved
+// timeline.
+//
+// Most movements are announced by a takbir, so the count of takbirs carries the structure;
+// the adhkar of each position (lib/adhkar.js) and the recited surahs confirm or correct it
+// when they are heard. Quiet stretches (the silent rak'at of dhuhr, a tasbih said under the
+// breath) are bridged by the takbirs either side.
+
+// Rak'at of each fard prayer a recording may say it is
+const PRAYERS = {
+    fajr: 2,
+    dhuhr: 4,
+    asr: 4,
+    maghrib: 3,
+    isha: 4,
+    jumuah: 2
+};
+
+// Positions in the order they come in a rak'ah
+const POSITIONS = ['takbir', 'qiyam', 'fatiha', 'surah', 'ruku', 'itidal', 'sujud', 'jalsa', 'tashahhud', 'taslim'];
+
+// Catalogue adhkar (data/adhkar) that place the prayer; takbir is handled on its own
+const DHIKR_POSITIONS = {
+    'istiftah': 'qiyam',
+    'taawwudh': 'qiyam',
+    'amin': 'fatiha',
+    'ruku-tasbih': 'ruku',
+    'ruku-dua': 'ruku',
+    'tasmi': 'itidal',
+    'tahmid': 'itidal',
+    'tahmid-short': 'itidal',
+    'sujud-tasbih': 'sujud',
+    'between-sujud': 'jalsa',
+    'between-sujud-dua': 'jalsa',
+    'tashahhud-greetings': 'tashahhud',
+    'tashahhud-prophet': 'tashahhud',
+    'tashahhud-righteous': 'tashahhud',
+    'tashahhud-shahada': 'tashahhud',
+    'salawat': 'tashahhud',
+    'salawat-baraka': 'tashahhud',
+    'dua-before-taslim': 'tashahhud',
+    'taslim': 'taslim'
+};
+
+// Longest fard prayer, for recordings that don't say which prayer it is
+const MAX_RAKAT = 4;
+
+// A prayer name from a client → the name, or null for none. Throws an Error whose message can
+// be shown to the user for a prayer it doesn't know.
+function parsePrayer(name) {
+    if (name === undefined || name === null || name === '') return null;
+    if (typeof name !== 'string' || !Object.prototype.hasOwnProperty.call(PRAYERS, name)) {
+        throw new Error(`Choose a prayer: ${Object.keys(PRAYERS).join(', ')}`);
+    }
+    return name;
+}
+
+// What a final segment tells about the prayer, in the order it was said: [{ cue, time }] where
+// cue is 'takbir' or a position. A phrase said several times in a row counts each time.
+function cues(segment) {
+    const found = [];
+    if (segment.dhikr) {
+        for (const phrase of segment.dhikr.phrases) {
+            const cue = phrase.id === 'takbir' ? 'takbir' : DHIKR_POSITIONS[phrase.id];
+            if (!cue) continue;
+            const perRecitation = phrase.words.length / phrase.count;
+            for (let i = 0; i < phrase.count; i++) {
+                const word = phrase.words[Math.floor(i * perRecitation)];
+                found.push({ cue, time: word && word.start !== null ? word.start : segment.start });
+            }
+        }
+    } else if (segment.verse) {
+        found.push({ cue: segment.verse.surah === 1 ? 'fatiha' : 'surah', time: segment.start });
+    }
+    return found;
+}
+
+// Follows one recording. prayer: a key of PRAYERS, or null when the number of rak'at isn't known
+// (a fourth rak'ah is then assumed after the third until a tashahhud says otherwise).
+function createPrayerTracker({ prayer = null } = {}) {
+    const expected = parsePrayer(prayer) ? PRAYERS[prayer] : null;
+    const lastRakah = expected || MAX_RAKAT;
+
+    let rakah = 0;
+    let position = null;
+    let sujud = 0;          // first or second prostration of the rak'ah
+    let tentative = false;  // stood up for a rak'ah the prayer may not have (unknown total)
+    let complete = false;
+    const timeline = [];    // [{ rakah, position, start }]
+    let moves = 0;
+
+    function moveTo(next, time) {
+        moves++;
+        if (next === 'sujud') sujud = position === 'jalsa' ? 2 : 1;
+        position = next;
+        complete = next === 'taslim';
+        timeline.push({ rakah, position, start: time });
+    }
+
+    function standUp(time, { guess = false } = {}) {
+        rakah++;
+        sujud = 0;
+        tentative = guess;
+        moveTo('qiyam', time);
+    }
+
+    // After the second sujud: the tashahhud of the second and last rak'at, otherwise the next rak'ah
+    function endRakah(time) {
+        if (rakah === 2 || rakah >= lastRakah) {
+            moveTo('tashahhud', time);
+        } else {
+            standUp(time, { guess: !expected && rakah === 3 });
+        }
+    }
+
+    // A guessed rak'ah that turned out to be the tashahhud (or taslim) of the one before
+    function withdrawGuess() {
+        const guessed = timeline.pop();
+        rakah--;
+        tentative = false;
+        moveTo('tashahhud', guessed.start);
+    }
+
+    function takbir(time) {
+        switch (position) {
+            case null:
+                rakah = 1;
+                moveTo('takbir', time);
+                break;
+            case 'takbir':
+            case 'qiyam':
+            case 'fatiha':
+            case 'surah':
+                tentative = false;
+                moveTo('ruku', time);
+                break;
+            case 'ruku':
+            case 'itidal':
+                moveTo('sujud', time);
+                break;
+            case 'sujud':
+                if (sujud === 1) {
+                    moveTo('jalsa', time);
+                } else {
+                    endRakah(time);
+                }
+                break;
+            case 'jalsa':
+                moveTo('sujud', time);
+                break;
+            case 'tashahhud':
+                if (rakah < lastRakah) standUp(time);
+                break;
+        }
+    }
+
+    function reach(next, time) {
+        if ((next === 'tashahhud' || next === 'taslim') && tentative && position === 'qiyam') {
+            withdrawGuess();
+        }
+        if (next === position) return;
+
+        const rank = POSITIONS.indexOf(next);
+        const current = POSITIONS.indexOf(position);
+        if (position === null) {
+            rakah = 1;
+        } else if (rank < current) {
+            // Earlier in a rak'ah than the prayer is: only after the sujud can it be the next one
+            if (current < POSITIONS.indexOf('sujud') || rakah >= lastRakah) return;
+            standUp(time);
+            if (next === 'qiyam') return;
+        }
+        tentative = false;
+        moveTo(next, time);
+    }
+
+    function state() {
+        return {
+            prayer,
+            rakah,
+            rakat: expected || (complete ? rakah : null),
+            position,
+            start: timeline.length > 0 ? timeline[timeline.length - 1].start : null,
+            complete
+        };
+    }
+
+    return {
+        // Follow a segment: the new state { prayer, rakah, rakat, position, start, complete }
+        // when it moved the prayer on, otherwise null. rakat is null while the total is unknown.
+        update(segment) {
+            if (!segment.isFinal || complete) return null;
+            const before = moves;
+            for (const { cue, time } of cues(segment)) {
+                if (complete) break;
+                if (cue === 'takbir') {
+                    takbir(time);
+                } else {
+                    reach(cue, time);
+                }
+            }
+            return moves !== before ? state() : null;
+        },
+
+        // Where the prayer is, or null before its opening takbir
+        current() {
+            return position ? state() : null;
+        },
+
+        // What a saved session keeps
+        summary() {
+            return { prayer, rakat: state().rakat, complete, timeline: timeline.map(entry => ({ ...entry })) };
+        }
+    };
+}
+
+module.exports = { PRAYERS, parsePrayer, createPrayerTracker };
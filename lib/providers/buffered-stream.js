@@ -0,0 +1,75 @@
+// Streaming adapter for recognizers that only do batch recognition (e.g. whisper.cpp).
+// The current utterance is re-recognized every few seconds for interim results and
+// finalized once it is long enough, at a pause, or when the stream ends.
+const { EventEmitter } = require('events');
+const { BYTES_PER_SECOND, pcmToWav } = require('../wav');
+
+function createBufferedStream(recognizer, options = {}) {
+    const intervalBytes = (options.intervalSeconds || 2) * BYTES_PER_SECOND;
+    const utteranceBytes = (options.maxUtteranceSeconds || 10) * BYTES_PER_SECOND;
+
+    const stream = new EventEmitter();
+    let utterance = [];
+    let utteranceLength = 0;
+    let sinceLastPass = 0;
+    let totalLength = 0;
+    let inFlight = false;
+    let queue = Promise.resolve(); // passes run one at a time, in order
+
+    function recognizePass(isFinal) {
+        const pcm = Buffer.concat(utterance);
+        const endTime = totalLength / BYTES_PER_SECOND;
+        sinceLastPass = 0;
+        if (isFinal) {
+            utterance = [];
+            utteranceLength = 0;
+        }
+
+        inFlight = true;
+        queue = queue
+            .then(() => recognizer.recognize(pcmToWav(pcm), options))
+            .then((results) => {
+                const transcript = results.map(result => result.transcript).join(' ').trim();
+                if (transcript) {
+                    stream.emit('result', { transcript, isFinal, endTime });
+                }
+            })
+            .catch(error => stream.emit('error', error))
+            .finally(() => {
+                inFlight = false;
+            });
+    }
+
+    stream.write = (pcm) => {
+        utterance.push(pcm);
+        utteranceLength += pcm.length;
+        sinceLastPass += pcm.length;
+        totalLength += pcm.length;
+
+        if (utteranceLength >= utteranceBytes) {
+            recognizePass(true);
+        } else if (sinceLastPass >= intervalBytes && !inFlight) {
+            // Interim passes are skipped while the recognizer is still busy, so a slow
+            // engine falls behind on interims but never on finals
+            recognizePass(false);
+        }
+    };
+
+    // A pause ends the utterance, so it is recognized whole instead of cut at a fixed length
+    stream.flush = () => {
+        if (utteranceLength > 0) {
+            recognizePass(true);
+        }
+    };
+
+    stream.end = () => {
+        if (utteranceLength > 0) {
+            recognizePass(true);
+        }
+        queue.then(() => stream.emit('end'));
+    };
+
+    return stream;
+}
+
+module.exports = { createBufferedStream };
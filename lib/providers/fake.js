@@ -0,0 +1,148 @@
+// Deterministic fake engine for development and demos.
+// The same audio always produces the same phrase, silence produces nothing,
+// and no credentials or network access are needed.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { BYTES_PER_SECOND, pcmFromWav, rms } = require('../wav');
+
+// Unvowelled, as a real recognizer would return them. misheard: words (by position) the engine
+// is unsure of, with the word its second hypothesis has instead
+const PHRASES = [
+    { arabic: 'بسم الله الرحمن الرحيم', english: 'In the name of Allah, the Most Gracious, the Most Merciful' },
+    { arabic: 'الحمد لله رب العالمين', english: 'All praise is due to Allah, Lord of the worlds' },
+    { arabic: 'الرحمن الرحيم', english: 'The Most Gracious, the Most Merciful' },
+    { arabic: 'مالك يوم الدين', english: 'Master of the Day of Judgement', misheard: { 0: 'ملك' } },
+    { arabic: 'اياك نعبد واياك نستعين', english: 'You alone we worship and You alone we ask for help', misheard: { 3: 'نستعيذ' } },
+    { arabic: 'اهدنا الصراط المستقيم', english: 'Guide us to the straight path' },
+    { arabic: 'صراط الذين انعمت عليهم غير المغضوب عليهم ولا الضالين', english: 'The path of those You have blessed, not of those who earned anger, nor of those who went astray' },
+    { arabic: 'الله اكبر', english: 'Allah is the Greatest' },
+    { arabic: 'سبحان ربي العظيم', english: 'Glory be to my Lord, the Most Great' }
+];
+
+// Anything quieter than this (RMS of 16-bit samples) counts as silence
+const SILENCE_RMS = 200;
+
+// Confidence in words heard clearly and in misheard ones
+const CLEAR_CONFIDENCE = 0.95;
+const MISHEARD_CONFIDENCE = 0.55;
+
+// Confidence and the second hypothesis (if maxAlternatives allows one) for the first words of
+// a phrase, as a real engine reports them on final results: { confidence, wordConfidences,
+// alternatives }
+function hypotheses(phrase, words, maxAlternatives = 0) {
+    const misheard = phrase.misheard || {};
+    const unsure = words.some((word, i) => misheard[i]);
+    return {
+        confidence: unsure ? MISHEARD_CONFIDENCE : CLEAR_CONFIDENCE,
+        wordConfidences: words.map((word, i) => (misheard[i] ? MISHEARD_CONFIDENCE : CLEAR_CONFIDENCE)),
+        alternatives: unsure && maxAlternatives > 0 ? [{ transcript: words.map((word, i) => misheard[i] || word).join(' ') }] : []
+    };
+}
+
+// Streams the phrases above in order, one word per second of non-silent audio.
+// A pause finalizes the phrase so far, just like a real recognizer's endpointing.
+function createFakeStream({ maxAlternatives } = {}) {
+    const stream = new EventEmitter();
+    let pending = Buffer.alloc(0);
+    let phraseIndex = 0;
+    let wordCount = 0;
+    let wordStarts = []; // second each word of the current phrase was "heard" in
+    let seconds = 0; // audio consumed so far
+
+    const currentPhrase = () => PHRASES[phraseIndex % PHRASES.length];
+    const currentWords = () => currentPhrase().arabic.split(' ');
+
+    function emitPhrase(isFinal) {
+        const words = currentWords().slice(0, wordCount);
+        const result = {
+            transcript: words.join(' '),
+            isFinal,
+            endTime: seconds,
+            words: words.map((word, i) => ({ word, start: wordStarts[i], end: wordStarts[i] + 1 }))
+        };
+        if (isFinal) {
+            const { confidence, wordConfidences, alternatives } = hypotheses(currentPhrase(), words, maxAlternatives);
+            result.confidence = confidence;
+            result.words.forEach((word, i) => { word.confidence = wordConfidences[i]; });
+            result.alternatives = alternatives;
+        }
+        stream.emit('result', result);
+    }
+
+    function finalizePhrase() {
+        if (wordCount === 0) return;
+        emitPhrase(true);
+        phraseIndex++;
+        wordCount = 0;
+        wordStarts = [];
+    }
+
+    stream.write = (pcm) => {
+        pending = Buffer.concat([pending, pcm]);
+        while (pending.length >= BYTES_PER_SECOND) {
+            const second = pending.subarray(0, BYTES_PER_SECOND);
+            pending = pending.subarray(BYTES_PER_SECOND);
+            seconds++;
+
+            if (rms(second) < SILENCE_RMS) {
+                finalizePhrase();
+                continue;
+            }
+
+            wordCount++;
+            wordStarts.push(seconds - 1);
+            if (wordCount >= currentWords().length) {
+                finalizePhrase();
+            } else {
+                emitPhrase(false);
+            }
+        }
+    };
+
+    stream.flush = finalizePhrase;
+
+    stream.end = () => {
+        finalizePhrase();
+        setImmediate(() => stream.emit('end'));
+    };
+
+    return stream;
+}
+
+function createRecognizer() {
+    return {
+        name: 'fake',
+
+        createStream(options = {}) {
+            return createFakeStream(options);
+        },
+
+        async recognize(wavBuffer, options = {}) {
+            const pcm = pcmFromWav(wavBuffer);
+            if (rms(pcm) < SILENCE_RMS) {
+                return [];
+            }
+
+            const digest = crypto.createHash('sha1').update(pcm).digest();
+            const phrase = PHRASES[digest.readUInt32BE(0) % PHRASES.length];
+            const { confidence, alternatives } = hypotheses(phrase, phrase.arabic.split(' '), options.maxAlternatives);
+            return [{ transcript: phrase.arabic, confidence, alternatives }];
+        }
+    };
+}
+
+function createTranslator() {
+    return {
+        name: 'fake',
+
+        async translate(text, { to }) {
+            const lines = text.split('\n').map(line => {
+                const phrase = PHRASES.find(p => p.arabic === line.trim());
+                return phrase && to === 'en' ? phrase.english : `[${to}] ${line}`;
+            });
+            return lines.join('\n');
+        }
+    };
+}
+
+module.exports = { createRecognizer, createTranslator };
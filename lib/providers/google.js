@@ -0,0 +1,191 @@
+// Google Cloud Speech-to-Text and Translate (v2) adapters
+const { EventEmitter } = require('events');
+const speech = require('@google-cloud/speech');
+const { Translate } = require('@google-cloud/translate').v2;
+const fs = require('fs');
+const path = require('path');
+
+// Google Cloud credentials setup
+function setupCredentials() {
+    if (process.env.GOOGLE_APPLICATION_CREDENTIALS || !process.env.GOOGLE_CREDENTIALS_JSON) {
+        return;
+    }
+
+    // If credentials are in environment variable, write to temporary file
+    const credsDir = path.join(__dirname, '..', '..', 'temp-creds');
+    if (!fs.existsSync(credsDir)) {
+        fs.mkdirSync(credsDir);
+    }
+    const credPath = path.join(credsDir, 'google-creds.json');
+    fs.writeFileSync(credPath, process.env.GOOGLE_CREDENTIALS_JSON, 'utf8');
+    process.env.GOOGLE_APPLICATION_CREDENTIALS = credPath;
+}
+
+// Google closes streaming requests after ~305 seconds of audio; a prayer is often longer,
+// so streams are rotated a little before that
+const STREAM_ROTATE_MS = 290 * 1000;
+// Google fails a stream that goes without audio for a few seconds, so one left idle (a client
+// reconnecting mid-recording) is closed first; the next audio opens a new one
+const IDLE_CLOSE_MS = 5000;
+const BYTES_PER_SECOND = 16000 * 2;
+// Most hypotheses Google returns for one utterance
+const MAX_ALTERNATIVES = 30;
+
+function recognitionConfig(options) {
+    const config = {
+        encoding: 'LINEAR16',
+        sampleRateHertz: 16000,
+        languageCode: options.languageCode || 'ar-SA', // Arabic (Saudi Arabia) - good for Islamic recitation
+        model: options.model || 'default',
+        useEnhanced: true,
+        enableWordTimeOffsets: true, // only final results carry them
+        enableWordConfidence: true,
+        maxAlternatives: Math.min(MAX_ALTERNATIVES, 1 + (options.maxAlternatives || 0))
+    };
+    if (options.phraseHints && options.phraseHints.length > 0) {
+        config.speechContexts = [{ phrases: options.phraseHints }];
+    }
+    return config;
+}
+
+// protobuf Duration → seconds
+function toSeconds(duration) {
+    return Number(duration.seconds || 0) + (duration.nanos || 0) / 1e9;
+}
+
+// Google sends 0 for a confidence it didn't estimate (interim results, other alternatives)
+function knownConfidence(confidence) {
+    return confidence > 0 ? confidence : undefined;
+}
+
+// Word timings of an alternative, shifted by offset seconds; undefined when there are none
+function wordTimes(alternative, offset) {
+    if (!alternative.words || alternative.words.length === 0) return undefined;
+    return alternative.words.map(word => ({
+        word: word.word,
+        start: offset + toSeconds(word.startTime || {}),
+        end: offset + toSeconds(word.endTime || {}),
+        confidence: knownConfidence(word.confidence)
+    }));
+}
+
+// A result's best transcript with its confidence and timed words, and the other hypotheses
+function describeResult(result, offset) {
+    const [best, ...others] = result.alternatives;
+    return {
+        transcript: best.transcript,
+        confidence: knownConfidence(best.confidence),
+        words: wordTimes(best, offset),
+        alternatives: others.map(alternative => ({
+            transcript: alternative.transcript,
+            confidence: knownConfidence(alternative.confidence)
+        }))
+    };
+}
+
+// One logical stream for a whole recording, backed by as many gRPC streams as it takes
+function createStream(speechClient, options) {
+    const stream = new EventEmitter();
+    let current = null;
+    let openedAt = 0;
+    let bytesWritten = 0;
+    let offsetSeconds = 0; // audio already sent to earlier gRPC streams
+    let idleTimer = null;
+    let closing = Promise.resolve(); // earlier gRPC streams flushing their last results
+
+    function open() {
+        openedAt = Date.now();
+        offsetSeconds = bytesWritten / BYTES_PER_SECOND;
+        const offset = offsetSeconds;
+        current = speechClient
+            .streamingRecognize({ config: recognitionConfig(options), interimResults: true })
+            .on('error', error => stream.emit('error', error))
+            .on('data', (data) => {
+                const result = data.results && data.results[0];
+                if (!result || !result.alternatives || result.alternatives.length === 0) return;
+                const endTime = result.resultEndTime ? offset + toSeconds(result.resultEndTime) : undefined;
+                stream.emit('result', {
+                    ...describeResult(result, offset),
+                    isFinal: Boolean(result.isFinal),
+                    endTime
+                });
+            });
+    }
+
+    // End the current gRPC stream; its last final result still arrives
+    function close() {
+        const closed = current;
+        current = null;
+        closing = Promise.all([closing, new Promise(resolve => closed.on('end', resolve).on('error', resolve))]);
+        closed.end();
+    }
+
+    stream.write = (pcm) => {
+        if (current && Date.now() - openedAt > STREAM_ROTATE_MS) close();
+        if (!current) open();
+        current.write(pcm);
+        bytesWritten += pcm.length;
+
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => current && close(), IDLE_CLOSE_MS);
+    };
+
+    // A pause: the gRPC stream is closed so its final result comes now, not at the next words
+    stream.flush = () => {
+        clearTimeout(idleTimer);
+        if (current) close();
+    };
+
+    stream.end = () => {
+        clearTimeout(idleTimer);
+        if (current) close();
+        closing.then(() => stream.emit('end'));
+    };
+
+    return stream;
+}
+
+function createRecognizer() {
+    setupCredentials();
+    const speechClient = new speech.SpeechClient();
+
+    return {
+        name: 'google',
+
+        // pcm written to the stream: 16kHz mono LINEAR16
+        createStream(options = {}) {
+            return createStream(speechClient, options);
+        },
+
+        // wavBuffer: 16kHz mono LINEAR16 WAV
+        async recognize(wavBuffer, options = {}) {
+            const request = {
+                audio: {
+                    content: wavBuffer.toString('base64'),
+                },
+                config: recognitionConfig(options),
+            };
+
+            const [response] = await speechClient.recognize(request);
+            return (response.results || [])
+                .filter(result => result.alternatives && result.alternatives.length > 0)
+                .map(result => describeResult(result, 0));
+        }
+    };
+}
+
+function createTranslator() {
+    setupCredentials();
+    const translate = new Translate();
+
+    return {
+        name: 'google',
+
+        async translate(text, { from, to }) {
+            const [translation] = await translate.translate(text, { from, to });
+            return translation;
+        }
+    };
+}
+
+module.exports = { createRecognizer, createTranslator };
@@ -0,0 +1,57 @@
+// Speech recognition / translation provider registry
+//
+// A recognizer exposes:
+//   name
+//   createStream({ languageCode, model?, phraseHints?, maxAlternatives? }) → stream for one recording:
+//       (model, phraseHints, words or phrases to expect, and maxAlternatives, how many other
+//        hypotheses to return, are hints engines may ignore)
+//       write(pcm)  16kHz mono LINEAR16 chunks, in real time
+//       end()       no more audio; remaining results are flushed, then 'end'
+//       flush()     optional: the speaker paused, so finalize the utterance so far
+//       emits 'result' { transcript, isFinal, endTime?, words?, confidence?, alternatives? },
+//       'error', 'end'
+//       (endTime: seconds of audio since the stream started, when the engine knows it;
+//        words: [{ word, start, end, confidence? }] in the same seconds, when the engine times
+//        words; confidence: 0..1, when the engine reports it; alternatives: the other
+//        hypotheses [{ transcript, confidence? }], best first)
+//   recognize(wavBuffer, { languageCode, model?, phraseHints?, maxAlternatives? }) → Promise<[{ transcript, words?,
+//       confidence?, alternatives? }]> (words timed in seconds from the start of wavBuffer)
+//
+// A translator exposes:
+//   name
+//   translate(text, { from, to }) → Promise<string>
+const google = require('./google');
+const local = require('./local');
+const fake = require('./fake');
+
+const adapters = { google, local, fake };
+
+function getAdapter(name, kind) {
+    const adapter = adapters[name];
+    if (!adapter) {
+        throw new Error(`Unknown ${kind} provider "${name}" (expected one of: ${Object.keys(adapters).join(', ')})`);
+    }
+    return adapter;
+}
+
+// Build the configured recognizer and translator. Each one is initialized independently,
+// so a broken translation setup does not take speech recognition down with it.
+function createProviders(config) {
+    const providers = { recognizer: null, translator: null, errors: {} };
+
+    try {
+        providers.recognizer = getAdapter(config.speechProvider, 'speech').createRecognizer(config[config.speechProvider] || {});
+    } catch (error) {
+        providers.errors.recognizer = error.message;
+    }
+
+    try {
+        providers.translator = getAdapter(config.translationProvider, 'translation').createTranslator(config[config.translationProvider] || {});
+    } catch (error) {
+        providers.errors.translator = error.message;
+    }
+
+    return providers;
+}
+
+module.exports = { createProviders };
@@ -0,0 +1,83 @@
+// Local offline engine: whisper.cpp for recognition, a LibreTranslate server for translation.
+// Nothing here talks to the internet, so the app works on a laptop with no network.
+const { execFile } = require('child_process');
+const fs = require('fs');
+const { createBufferedStream } = require('./buffered-stream');
+const { tempFilePath } = require('../temp');
+
+// 'ar-SA' → 'ar'
+function baseLanguage(languageCode) {
+    return (languageCode || 'ar').split('-')[0];
+}
+
+function createRecognizer(options) {
+    if (!options.whisperModel || !fs.existsSync(options.whisperModel)) {
+        throw new Error(`Whisper model not found (set LOCAL_WHISPER_MODEL): ${options.whisperModel || '<unset>'}`);
+    }
+
+    const recognizer = {
+        name: 'local',
+
+        // whisper.cpp has no streaming mode, so re-run it over the growing utterance
+        createStream(streamOptions = {}) {
+            return createBufferedStream(recognizer, streamOptions);
+        },
+
+        // wavBuffer: 16kHz mono LINEAR16 WAV, which is exactly what whisper.cpp expects
+        recognize(wavBuffer, recognizeOptions = {}) {
+            const wavPath = tempFilePath('whisper', '.wav');
+            fs.writeFileSync(wavPath, wavBuffer);
+
+            const args = [
+                '-m', options.whisperModel,
+                '-f', wavPath,
+                '-l', baseLanguage(recognizeOptions.languageCode),
+                '-t', String(options.whisperThreads),
+                '--no-timestamps',
+                '--no-prints'
+            ];
+
+            return new Promise((resolve, reject) => {
+                execFile(options.whisperBin, args, { timeout: 60000, maxBuffer: 4 * 1024 * 1024 }, (error, stdout) => {
+                    fs.unlink(wavPath, () => {});
+                    if (error) {
+                        reject(new Error(`whisper.cpp failed: ${error.message}`));
+                        return;
+                    }
+
+                    const results = stdout
+                        .split('\n')
+                        .map(line => line.trim())
+                        .filter(line => line && !/^\[.*\]$/.test(line)) // drop [BLANK_AUDIO] style markers
+                        .map(line => ({ transcript: line }));
+                    resolve(results);
+                });
+            });
+        }
+    };
+
+    return recognizer;
+}
+
+function createTranslator(options) {
+    const endpoint = options.translateUrl.replace(/\/$/, '') + '/translate';
+
+    return {
+        name: 'local',
+
+        async translate(text, { from, to }) {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ q: text, source: from, target: to, format: 'text' })
+            });
+            if (!response.ok) {
+                throw new Error(`Local translation server responded ${response.status}`);
+            }
+            const data = await response.json();
+            return data.translatedText;
+        }
+    };
+}
+
+module.exports = { createRecognizer, createTranslator };
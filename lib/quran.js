@@ -0,0 +1,259 @@
+// Quran corpus and verse matching
+//
+// Recognized recitation is fuzzy-aligned (ignoring diacritics) against the bundled corpus in
+// data/quran so the client can show the canonical, fully vowelled text and a vetted translation
+// instead of raw recognizer output.
+const fs = require('fs');
+const path = require('path');
+const { matchKey, normalizeWord, tokenize } = require('./arabic');
+const { alignTokens } = require('./align');
+const { transliterateAll } = require('./transliterate');
+
+const DATA_DIR = path.join(__dirname, '..', 'data', 'quran');
+
+const MIN_WORDS = 2;        // a single word (e.g. "الله") is far too ambiguous to place
+const SHORT_PHRASE = 4;     // phrases shorter than this must make up (nearly) a whole verse,
+                            // otherwise "الله اكبر" would be placed inside 40:10
+const MAX_CANDIDATES = 15;  // verses aligned in full after the index lookup
+const MAX_WINDOW_WORDS = 400;
+
+// Load the Arabic text plus the requested translations into a flat list of verses
+function loadCorpus(options = {}) {
+    const dataDir = options.dataDir || DATA_DIR;
+    const languages = options.translations || ['en'];
+
+    const arabic = JSON.parse(fs.readFileSync(path.join(dataDir, 'quran-uthmani.json'), 'utf8'));
+    const translations = {};
+    for (const language of languages) {
+        const file = path.join(dataDir, 'translations', `${language}.json`);
+        if (fs.existsSync(file)) {
+            translations[language] = JSON.parse(fs.readFileSync(file, 'utf8'));
+        }
+    }
+
+    const surahs = arabic.surahs.map(surah => ({
+        number: surah.number,
+        name: surah.name,
+        transliteration: surah.transliteration,
+        ayahCount: surah.ayahs.length
+    }));
+
+    const verses = [];
+    arabic.surahs.forEach((surah, surahIndex) => {
+        surah.ayahs.forEach((text, ayahIndex) => {
+            const verseTranslations = {};
+            for (const [language, translation] of Object.entries(translations)) {
+                verseTranslations[language] = translation.surahs[surahIndex][ayahIndex];
+            }
+
+            verses.push({
+                index: verses.length,
+                surah: surah.number,
+                ayah: ayahIndex + 1,
+                arabic: text,
+                keys: tokenize(text).map(matchKey),
+                translations: verseTranslations
+            });
+        });
+    });
+
+    return { surahs, verses, languages: Object.keys(translations) };
+}
+
+function createVerseMatcher(corpus, options = {}) {
+    const threshold = options.threshold !== undefined ? options.threshold : 0.75;
+
+    // Inverted index: match key → indices of verses containing it
+    const postings = new Map();
+    for (const verse of corpus.verses) {
+        for (const key of new Set(verse.keys)) {
+            if (!postings.has(key)) postings.set(key, []);
+            postings.get(key).push(verse.index);
+        }
+    }
+    const idf = key => Math.log(corpus.verses.length / postings.get(key).length);
+
+    // Verses sharing the most (and rarest) words with the transcription
+    function findCandidates(keys) {
+        const scores = new Map();
+        for (const key of new Set(keys)) {
+            if (!postings.has(key)) continue;
+            const weight = idf(key);
+            for (const index of postings.get(key)) {
+                scores.set(index, (scores.get(index) || 0) + weight);
+            }
+        }
+        return [...scores.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, MAX_CANDIDATES)
+            .map(([index]) => index);
+    }
+
+    // The candidate verse with its neighbours in the same surah, long enough to hold the transcription
+    function buildWindow(index, wordCount) {
+        const verses = corpus.verses;
+        let start = index;
+        if (start > 0 && verses[start - 1].surah === verses[index].surah) start--;
+
+        const keys = [];
+        const owners = [];
+        const wanted = wordCount + verses[index].keys.length;
+        for (let i = start; i < verses.length && verses[i].surah === verses[index].surah; i++) {
+            if (i > index && keys.length >= wanted) break;
+            if (keys.length + verses[i].keys.length > MAX_WINDOW_WORDS && i > index) break;
+            for (const key of verses[i].keys) {
+                keys.push(key);
+                owners.push(i);
+            }
+        }
+        return { keys, owners };
+    }
+
+    function scoreCandidate(keys, index, previous) {
+        const window = buildWindow(index, keys.length);
+        const { operations } = alignTokens(keys, window.keys, { local: true });
+
+        let matched = 0;
+        const covered = new Map(); // verse index → aligned word count
+        for (const op of operations) {
+            if (op.type !== 'match' && op.type !== 'substitution') continue;
+            matched += op.similarity;
+            const owner = window.owners[op.targetIndex];
+            covered.set(owner, (covered.get(owner) || 0) + 1);
+        }
+        if (covered.size === 0) return null;
+
+        const coveredIndices = [...covered.keys()].sort((a, b) => a - b);
+        const first = coveredIndices[0];
+        const last = coveredIndices[coveredIndices.length - 1];
+        let coveredWords = 0;
+        for (let i = first; i <= last; i++) coveredWords += corpus.verses[i].keys.length;
+
+        const confidence = matched / keys.length;
+        const verseCoverage = [...covered.values()].reduce((sum, count) => sum + count, 0) / coveredWords;
+
+        // Repeated verses (the basmala, refrains in Ar-Rahman) resolve to wherever the recitation already is
+        const firstVerse = corpus.verses[first];
+        const continues = previous &&
+            firstVerse.surah === previous.surah &&
+            firstVerse.ayah >= previous.ayahEnd &&
+            firstVerse.ayah <= previous.ayahEnd + 2;
+
+        return {
+            first,
+            last,
+            confidence,
+            verseCoverage,
+            rank: confidence + 0.1 * verseCoverage + (continues ? 0.05 : 0)
+        };
+    }
+
+    function describe(best) {
+        const verses = corpus.verses.slice(best.first, best.last + 1);
+        const surah = corpus.surahs[verses[0].surah - 1];
+        const ayahStart = verses[0].ayah;
+        const ayahEnd = verses[verses.length - 1].ayah;
+
+        return {
+            reference: ayahStart === ayahEnd ? `${surah.number}:${ayahStart}` : `${surah.number}:${ayahStart}-${ayahEnd}`,
+            surah: surah.number,
+            surahName: surah.name,
+            surahTransliteration: surah.transliteration,
+            ayahStart,
+            ayahEnd,
+            confidence: Math.round(best.confidence * 100) / 100,
+            ayat: verses.map(verse => ({
+                ayah: verse.ayah,
+                arabic: verse.arabic,
+                transliteration: transliterateAll(verse.arabic),
+                translations: verse.translations
+            }))
+        };
+    }
+
+    return {
+        // Best verse (or run of consecutive verses) for a transcription, or null when
+        // nothing reaches the confidence threshold.
+        // options.previous: the last match for this recording, used to break ties
+        match(text, matchOptions = {}) {
+            const keys = tokenize(text).map(matchKey);
+            if (keys.length < MIN_WORDS) return null;
+
+            let best = null;
+            for (const index of findCandidates(keys)) {
+                const candidate = scoreCandidate(keys, index, matchOptions.previous);
+                if (candidate && (!best || candidate.rank > best.rank)) {
+                    best = candidate;
+                }
+            }
+
+            if (!best || best.confidence < threshold) return null;
+            if (keys.length < SHORT_PHRASE && best.verseCoverage < 0.8) return null;
+            return describe(best);
+        }
+    };
+}
+
+// Time the canonical words of a matched verse from the recognized words they align with, so
+// the client can highlight the word being recited. Sets ayah.words = [{ word, start, end }]
+// on each ayah (the ayah text split on spaces, stop marks included). Canonical words between
+// two heard words share the time between them; words after the last heard one have no time
+// (start: null) while the segment is still open, and take the last time once it is final.
+function timeVerseWords(verse, words, isFinal) {
+    const canonical = [];
+    verse.ayat.forEach((ayah) => {
+        ayah.words = ayah.arabic.split(/\s+/).filter(Boolean).map(word => ({ word, start: null, end: null }));
+        canonical.push(...ayah.words.filter(entry => normalizeWord(entry.word).length > 0));
+    });
+    if (canonical.length === 0 || words.length === 0) return verse;
+
+    const { operations } = alignTokens(words.map(word => matchKey(word.word)), canonical.map(entry => matchKey(entry.word)), { local: true });
+    for (const op of operations) {
+        if (op.type === 'match' || op.type === 'substitution') {
+            canonical[op.targetIndex].start = words[op.sourceIndex].start;
+            canonical[op.targetIndex].end = words[op.sourceIndex].end;
+        }
+    }
+
+    const timed = canonical.map((entry, index) => (entry.start !== null ? index : -1)).filter(index => index >= 0);
+    if (timed.length === 0) return verse;
+
+    // Before the first heard word: the recitation started there
+    for (let i = 0; i < timed[0]; i++) {
+        canonical[i].start = canonical[i].end = canonical[timed[0]].start;
+    }
+    // Between heard words: spread evenly
+    for (let t = 1; t < timed.length; t++) {
+        const from = canonical[timed[t - 1]];
+        const to = canonical[timed[t]];
+        const gap = timed[t] - timed[t - 1];
+        const step = Math.max(0, to.start - from.end) / gap;
+        for (let i = timed[t - 1] + 1; i < timed[t]; i++) {
+            canonical[i].start = from.end + step * (i - timed[t - 1] - 1);
+            canonical[i].end = canonical[i].start + step;
+        }
+    }
+    // After the last heard word: not recited yet, unless the segment is over
+    if (isFinal) {
+        const last = canonical[timed[timed.length - 1]];
+        for (let i = timed[timed.length - 1] + 1; i < canonical.length; i++) {
+            canonical[i].start = canonical[i].end = last.end;
+        }
+    }
+
+    // Stop marks and other non-words go with the word before them
+    const round = seconds => (seconds === null ? null : Math.round(seconds * 100) / 100);
+    verse.ayat.forEach((ayah) => {
+        ayah.words.forEach((entry, index) => {
+            if (normalizeWord(entry.word).length === 0 && index > 0) {
+                entry.start = ayah.words[index - 1].start;
+                entry.end = ayah.words[index - 1].end;
+            }
+            entry.start = round(entry.start);
+            entry.end = round(entry.end);
+        });
+    });
+    return verse;
+}
+
+module.exports = { loadCorpus, createVerseMatcher, timeVerseWords };
@@ -0,0 +1,81 @@
+// Recognition settings a client may choose per recording: the Arabic locale (dialect), the
+// recognition model and phrase hints. Only what the server offers is accepted; anything else
+// refuses the recording with a message, rather than silently recognizing something else.
+
+// Names of the locales and models offered by default (a server may offer others by code)
+const LOCALES = {
+    'ar-SA': 'Arabic (Saudi Arabia)',
+    'ar-EG': 'Arabic (Egypt)',
+    'ar-AE': 'Arabic (United Arab Emirates)',
+    'ar-JO': 'Arabic (Jordan)',
+    'ar-KW': 'Arabic (Kuwait)',
+    'ar-QA': 'Arabic (Qatar)',
+    'ar-BH': 'Arabic (Bahrain)',
+    'ar-OM': 'Arabic (Oman)',
+    'ar-IQ': 'Arabic (Iraq)',
+    'ar-LB': 'Arabic (Lebanon)',
+    'ar-PS': 'Arabic (Palestine)',
+    'ar-MA': 'Arabic (Morocco)',
+    'ar-DZ': 'Arabic (Algeria)',
+    'ar-TN': 'Arabic (Tunisia)'
+};
+
+// Google's recognition models (other engines have one model and ignore the choice)
+const MODELS = {
+    default: 'Standard',
+    latest_long: 'Latest, for long recitations',
+    latest_short: 'Latest, for short phrases'
+};
+
+// Google's limit on the length of one phrase hint
+const MAX_PHRASE_LENGTH = 100;
+
+// What GET /api/recognition tells clients they may choose from
+function describeRecognition(settings) {
+    return {
+        locales: settings.locales.map(code => ({ code, name: LOCALES[code] || code })),
+        defaultLocale: settings.defaultLocale,
+        models: settings.models.map(code => ({ code, name: MODELS[code] || code })),
+        defaultModel: settings.defaultModel,
+        maxPhraseHints: settings.maxPhraseHints,
+        maxPhraseLength: MAX_PHRASE_LENGTH
+    };
+}
+
+// A start-recording request's { locale, model, phraseHints } → { languageCode, model, phraseHints,
+// maxAlternatives } for the recognizer, with defaults for what wasn't chosen. Throws an Error whose message can be
+// shown to the user when a choice isn't offered.
+function parseRecognitionOptions(options, settings) {
+    const { locale, model, phraseHints } = options || {};
+
+    if (locale !== undefined && locale !== null && !settings.locales.includes(locale)) {
+        throw new Error(`Recognition in "${locale}" is not available on this server`);
+    }
+    if (model !== undefined && model !== null && !settings.models.includes(model)) {
+        throw new Error(`The "${model}" recognition model is not available on this server`);
+    }
+
+    let hints = [];
+    if (phraseHints !== undefined && phraseHints !== null) {
+        if (!Array.isArray(phraseHints) || phraseHints.some(hint => typeof hint !== 'string')) {
+            throw new Error('Phrase hints must be a list of words or phrases');
+        }
+        hints = [...new Set(phraseHints.map(hint => hint.trim()).filter(Boolean))];
+        if (hints.length > settings.maxPhraseHints) {
+            throw new Error(`At most ${settings.maxPhraseHints} phrase hints can be used`);
+        }
+        const tooLong = hints.find(hint => hint.length > MAX_PHRASE_LENGTH);
+        if (tooLong) {
+            throw new Error(`Phrase hints can be at most ${MAX_PHRASE_LENGTH} characters: "${tooLong.slice(0, 20)}..."`);
+        }
+    }
+
+    return {
+        languageCode: locale || settings.defaultLocale,
+        model: model || settings.defaultModel,
+        phraseHints: hints,
+        maxAlternatives: settings.maxAlternatives
+    };
+}
+
+module.exports = { LOCALES, MODELS, describeRecognition, parseRecognitionOptions };
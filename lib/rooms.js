@@ -0,0 +1,71 @@
+// Broadcast rooms: one recording device (the broadcaster, e.g. near the imam) and any number
+// of read-only listeners following the same transcript on their own phones.
+const crypto = require('crypto');
+
+// No 0/O or 1/I, so codes survive being read out loud or typed from a screen
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+function generateCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+// Normalize user input ("abc 123" → "ABC123"); null if it can't be a room code
+function normalizeCode(input) {
+    const code = String(input || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return code.length === CODE_LENGTH ? code : null;
+}
+
+// Socket.IO room name for a code
+function channel(code) {
+    return `room:${code}`;
+}
+
+function createRoomRegistry() {
+    const rooms = new Map(); // code → room
+
+    function byBroadcaster(broadcasterId) {
+        for (const room of rooms.values()) {
+            if (room.broadcasterId === broadcasterId) return room;
+        }
+        return null;
+    }
+
+    return {
+        byBroadcaster,
+
+        // The broadcaster's room, created on first use
+        open(broadcasterId) {
+            const existing = byBroadcaster(broadcasterId);
+            if (existing) return existing;
+
+            let code = generateCode();
+            while (rooms.has(code)) code = generateCode();
+
+            const room = {
+                code,
+                channel: channel(code),
+                broadcasterId,
+                createdAt: Date.now(),
+                transcript: null // the broadcaster's current (or last) recording transcript
+            };
+            rooms.set(code, room);
+            return room;
+        },
+
+        get(code) {
+            const normalized = normalizeCode(code);
+            return normalized ? rooms.get(normalized) || null : null;
+        },
+
+        close(code) {
+            rooms.delete(code);
+        }
+    };
+}
+
+module.exports = { createRoomRegistry, normalizeCode };
@@ -0,0 +1,29 @@
+// Health checks for the hosting platform and metrics for Prometheus:
+//   GET /healthz  → 200 while the process is up, with each provider's status
+//   GET /readyz   → 200 when recordings can be accepted, 503 otherwise (no speech provider,
+//                   or shutting down)
+//   GET /metrics  → metrics in the Prometheus text format
+const express = require('express');
+
+// status() → { ready, providers: { speech: { name, ready, error }, translation: {...} } }
+// requireKey: middleware guarding /metrics (access keys, when configured)
+function createHealthRouter({ status, metrics, requireKey }) {
+    const router = express.Router();
+
+    router.get('/healthz', (req, res) => {
+        res.json({ status: 'ok', uptime: Math.round(process.uptime()), ...status() });
+    });
+
+    router.get('/readyz', (req, res) => {
+        const current = status();
+        res.status(current.ready ? 200 : 503).json({ status: current.ready ? 'ready' : 'unavailable', ...current });
+    });
+
+    router.get('/metrics', requireKey, (req, res) => {
+        res.type('text/plain; version=0.0.4').send(metrics.registry.render());
+    });
+
+    return router;
+}
+
+module.exports = { createHealthRouter };
@@ -0,0 +1,72 @@
+// REST API for past recording sessions
+const express = require('express');
+const { exportSession, FORMATS } = require('../export');
+const { LANGUAGES } = require('../languages');
+
+// isActive(id): whether the session is still being recorded (or saved), so it can't be deleted yet
+function createSessionsRouter(store, { isActive = () => false } = {}) {
+    const router = express.Router();
+
+    // List sessions, newest first (without their segments)
+    router.get('/', async (req, res) => {
+        res.json({ sessions: await store.list() });
+    });
+
+    // One session with its full transcript
+    router.get('/:id', async (req, res) => {
+        const session = await store.get(req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json(session);
+    });
+
+    // The original recording, when audio saving was enabled
+    router.get('/:id/audio', (req, res) => {
+        const file = store.audioFile(req.params.id);
+        if (!file) {
+            return res.status(404).json({ error: 'No audio saved for this session' });
+        }
+        res.type('audio/webm').sendFile(file);
+    });
+
+    // Transcript as subtitles, text or a printable page: ?format=srt|vtt|md|txt|html,
+    // with the translation in ?language= (default English).
+    // The HTML page opens in the browser (to print or save as PDF); the rest download.
+    router.get('/:id/export', async (req, res) => {
+        const format = String(req.query.format || 'srt').toLowerCase();
+        if (!FORMATS[format]) {
+            return res.status(400).json({ error: `Unknown format (expected one of: ${Object.keys(FORMATS).join(', ')})` });
+        }
+
+        const language = String(req.query.language || 'en').toLowerCase();
+        if (!LANGUAGES[language]) {
+            return res.status(400).json({ error: `Unknown language (expected one of: ${Object.keys(LANGUAGES).join(', ')})` });
+        }
+
+        const session = await store.get(req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const exported = exportSession(session, format, language);
+        const disposition = format === 'html' && req.query.download === undefined ? 'inline' : 'attachment';
+        res.set('Content-Disposition', `${disposition}; filename="${exported.filename}"`);
+        res.type(`${exported.contentType}; charset=utf-8`).send(exported.body);
+    });
+
+    router.delete('/:id', async (req, res) => {
+        if (isActive(req.params.id)) {
+            return res.status(409).json({ error: 'This session is still being recorded. Stop the recording before deleting it.' });
+        }
+        const deleted = await store.delete(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.status(204).end();
+    });
+
+    return router;
+}
+
+module.exports = { createSessionsRouter };
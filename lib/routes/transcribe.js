@@ -0,0 +1,119 @@
+// Upload a recorded audio file and transcribe it in the background:
+//   POST /api/transcribe?filename=...&languages=en,ur&tashkeel=true&prayer=dhuhr&locale=ar-EG&model=...&phraseHints=...
+//        (raw file as the request body; phraseHints repeated for each hint) → 202 { id, status, ... }
+//   GET  /api/transcribe/:id           → job status, with the transcript once complete
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { tempFilePath } = require('../temp');
+const { parsePrayer } = require('../prayer');
+const { parseRecognitionOptions } = require('../recognition');
+
+// Stream the request body to filePath, failing once it grows past maxBytes
+async function receiveUpload(req, filePath, maxBytes) {
+    let received = 0;
+    const limit = new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length;
+            if (received > maxBytes) {
+                const error = new Error(`File is larger than ${Math.round(maxBytes / 1024 / 1024)} MB`);
+                error.status = 413;
+                return callback(error);
+            }
+            callback(null, chunk);
+        }
+    });
+
+    await pipeline(req, limit, fs.createWriteStream(filePath));
+    return received;
+}
+
+// What clients see of a job
+function jobStatus(job, jobs) {
+    return {
+        id: job.id,
+        status: job.status,
+        progress: Math.round(job.progress * 100) / 100,
+        queuePosition: job.status === 'queued' ? jobs.position(job) : 0,
+        filename: job.filename,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt || null,
+        error: job.error,
+        result: job.result
+    };
+}
+
+// transcribe(filePath, { filename, languages, tashkeel, prayer, recognition, clientId, onProgress }) → Promise<result>; the file is deleted afterwards.
+// admit(req) → null, or { message } when the client may not transcribe anything more for now.
+// recognitionSettings: what clients may choose, as for start-recording (config.recognition).
+function createTranscribeRouter({ jobs, transcribe, maxUploadBytes, available, recognitionSettings, admit = () => null }) {
+    const router = express.Router();
+
+    router.post('/', async (req, res) => {
+        if (!available()) {
+            return res.status(503).json({ error: 'Speech recognition is not available' });
+        }
+        const refused = admit(req);
+        if (refused) {
+            return res.status(429).json({ error: refused.message, limit: refused.limit, resetsAt: refused.resetsAt });
+        }
+        if (Number(req.get('Content-Length')) > maxUploadBytes) {
+            return res.status(413).json({ error: `File is larger than ${Math.round(maxUploadBytes / 1024 / 1024)} MB` });
+        }
+
+        const filename = path.basename(String(req.query.filename || 'upload')).slice(0, 200);
+        const languages = String(req.query.languages || '').split(',').filter(Boolean);
+        const tashkeel = req.query.tashkeel === undefined ? undefined : req.query.tashkeel === 'true';
+        let prayer;
+        let recognition;
+        try {
+            prayer = parsePrayer(req.query.prayer);
+            const { locale, model, phraseHints } = req.query;
+            recognition = parseRecognitionOptions({
+                locale,
+                model,
+                phraseHints: phraseHints === undefined ? undefined : [].concat(phraseHints)
+            }, recognitionSettings);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        const filePath = tempFilePath('upload');
+
+        let size;
+        try {
+            size = await receiveUpload(req, filePath, maxUploadBytes);
+        } catch (error) {
+            fs.promises.unlink(filePath).catch(() => {});
+            return res.status(error.status || 400).set('Connection', 'close').json({ error: error.message });
+        }
+        if (size === 0) {
+            fs.promises.unlink(filePath).catch(() => {});
+            return res.status(400).json({ error: 'Send the audio file as the request body' });
+        }
+
+        console.log(`Transcription job for upload "${filename}" (${size} bytes)`);
+        const job = jobs.add({ filename }, async (job) => {
+            try {
+                return await transcribe(filePath, { filename, languages, tashkeel, prayer, recognition, clientId: req.client.id, onProgress: progress => { job.progress = progress; } });
+            } finally {
+                fs.promises.unlink(filePath).catch(() => {});
+            }
+        });
+
+        res.status(202).location(`${req.baseUrl}/${job.id}`).json(jobStatus(job, jobs));
+    });
+
+    router.get('/:id', (req, res) => {
+        const job = jobs.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json(jobStatus(job, jobs));
+    });
+
+    return router;
+}
+
+module.exports = { createTranscribeRouter };
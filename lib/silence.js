@@ -0,0 +1,246 @@
+// Voice activity: split a long recording into recognizer-sized pieces at pauses, so words are
+// not cut in half, and gate a live recognition stream so only speech is sent to it
+const { EventEmitter } = require('events');
+const { BYTES_PER_SECOND, rms } = require('./wav');
+
+const FRAME_SECONDS = 0.03;
+const FRAME_BYTES = Math.round(FRAME_SECONDS * BYTES_PER_SECOND / 2) * 2;
+
+// Frames below this level always count as silence, whatever the recording's noise floor
+const SILENCE_RMS_FLOOR = 200;
+
+// Speech threshold for this recording: a few times its quietest frames (room noise, hum),
+// capped at half the typical level for recordings with hardly any pauses, and never below
+// the floor
+function silenceThreshold(levels) {
+    const sorted = [...levels].sort((a, b) => a - b);
+    const noise = sorted[Math.floor(sorted.length * 0.1)] || 0;
+    const typical = sorted[Math.floor(sorted.length / 2)] || 0;
+    return Math.max(SILENCE_RMS_FLOOR, Math.min(noise * 3, typical / 2));
+}
+
+// Level of each frame of 16kHz mono 16-bit PCM that arrives in parts (a file being decoded),
+// so it can be split at pauses without being held whole. write() each part; end() returns
+// { levels, length } for splitOnSilence, length being the bytes written.
+function createLevelMeter() {
+    const levels = [];
+    let pending = Buffer.alloc(0); // the start of a frame not complete yet
+    let length = 0;
+
+    return {
+        write(pcm) {
+            length += pcm.length;
+            pending = pending.length > 0 ? Buffer.concat([pending, pcm]) : pcm;
+            let offset = 0;
+            for (; offset + FRAME_BYTES <= pending.length; offset += FRAME_BYTES) {
+                levels.push(rms(pending.subarray(offset, offset + FRAME_BYTES)));
+            }
+            pending = Buffer.from(pending.subarray(offset));
+        },
+        end() {
+            if (pending.length > 0) levels.push(rms(pending));
+            pending = Buffer.alloc(0);
+            return { levels, length };
+        }
+    };
+}
+
+// Measured PCM (createLevelMeter) → [{ start, end, offset, length }] covering the voiced parts:
+// start and end in seconds, offset and length where the piece's PCM lies, in bytes.
+// Pieces are cut in the middle of pauses of at least minSilenceSeconds; a piece that would
+// run past maxSeconds is cut at its quietest frame instead.
+function splitOnSilence({ levels, length }, { maxSeconds = 30, minSilenceSeconds = 0.4 } = {}) {
+    const threshold = silenceThreshold(levels);
+    const maxFrames = Math.floor(maxSeconds / FRAME_SECONDS);
+    const minSilenceFrames = Math.ceil(minSilenceSeconds / FRAME_SECONDS);
+
+    // Frame ranges [from, to) of the pieces
+    const ranges = [];
+    let from = 0;
+    let silentRun = 0;
+    let voiced = false; // the current piece has speech in it
+
+    for (let frame = 0; frame < levels.length; frame++) {
+        if (levels[frame] < threshold) {
+            silentRun++;
+        } else {
+            // A long enough pause just ended: cut in its middle
+            if (voiced && silentRun >= minSilenceFrames) {
+                const cut = frame - Math.floor(silentRun / 2);
+                ranges.push([from, cut]);
+                from = cut;
+            } else if (!voiced) {
+                from = Math.max(from, frame - Math.floor(minSilenceFrames / 2)); // drop leading silence
+            }
+            silentRun = 0;
+            voiced = true;
+        }
+
+        if (frame + 1 - from >= maxFrames) {
+            // Too long without a pause: cut at the quietest frame of the second half
+            let cut = frame + 1;
+            for (let candidate = from + Math.floor(maxFrames / 2); candidate <= frame; candidate++) {
+                if (levels[candidate] < levels[cut - 1]) cut = candidate + 1;
+            }
+            if (voiced) ranges.push([from, cut]);
+            from = cut;
+            voiced = levels.slice(cut, frame + 1).some(level => level >= threshold);
+            silentRun = 0;
+        }
+    }
+    if (voiced) {
+        ranges.push([from, levels.length - Math.floor(silentRun / 2)]);
+    }
+
+    return ranges
+        .filter(([start, end]) => end > start)
+        .map(([start, end]) => {
+            const offset = start * FRAME_BYTES;
+            const stop = Math.min(end * FRAME_BYTES, length);
+            return { start: offset / BYTES_PER_SECOND, end: stop / BYTES_PER_SECOND, offset, length: stop - offset };
+        });
+}
+
+// Live gate: how much of the recent past the noise floor is taken from, how many of the
+// loudest frames judged as speech the speech level is taken from, and how often (in frames)
+// the threshold is worked out again
+const NOISE_WINDOW_FRAMES = Math.round(30 / FRAME_SECONDS);
+const SPEECH_WINDOW_FRAMES = Math.round(10 / FRAME_SECONDS);
+const THRESHOLD_EVERY_FRAMES = 10;
+// Audio from just before speech starts, so its first syllable isn't clipped
+const PREROLL_FRAMES = Math.round(0.3 / FRAME_SECONDS);
+
+// Frame count → seconds, to the hundredth
+function frameSeconds(frameCount) {
+    return Math.round(frameCount * FRAME_SECONDS * 100) / 100;
+}
+
+function percentile(values, share) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length * share)];
+}
+
+// Wrap a recognizer stream (same interface) so that only speech reaches it. Silence, such as
+// the long pauses between the positions of salah, is never sent: a pause of pauseSeconds
+// ends the utterance (the stream's flush(), when it has one, finalizes it) and the audio
+// that follows is held back until someone speaks again. Result times are moved back onto
+// the recording's own clock, and each result gets the startTime of the speech it ends in.
+//
+// The threshold follows the room: a few times the noise floor of the last 30 seconds, capped
+// at half the level of recent speech so recitation without pauses still counts. The speech
+// level only comes from speech, so a long silence can't drag the threshold into the noise.
+// Emits 'activity' { speaking, at } (seconds into the recording) when speech starts or stops.
+function createVoiceGate(stream, { pauseSeconds = 0.8 } = {}) {
+    const gate = new EventEmitter();
+    const pauseFrames = Math.max(1, Math.round(pauseSeconds / FRAME_SECONDS));
+
+    let pending = Buffer.alloc(0); // the start of a frame not complete yet
+    let frames = 0; // frames heard (the recording's clock)
+    let sent = 0; // frames sent to the stream (the stream's clock)
+    let preroll = []; // the last frames of silence, sent if speech follows
+    let speaking = false;
+    let silentRun = 0;
+    let threshold = SILENCE_RMS_FLOOR;
+    const noiseLevels = [];
+    const speechLevels = [];
+    // Where each stretch of speech sits on both clocks, oldest first: { sent, heard } (seconds)
+    const spans = [];
+
+    // The stretch of speech a time on the stream's clock falls in. The end of one stretch is
+    // also where the next one starts, so an end time belongs to the stretch before.
+    function spanAt(seconds, isEnd) {
+        for (let index = spans.length - 1; index > 0; index--) {
+            if (isEnd ? spans[index].sent < seconds : spans[index].sent <= seconds) return spans[index];
+        }
+        return spans[0] || { sent: 0, heard: 0 };
+    }
+
+    // A time on the stream's clock → the recording's clock
+    function heardTime(seconds, isEnd) {
+        const span = spanAt(seconds, isEnd);
+        return span.heard + (seconds - span.sent);
+    }
+
+    function send(frame) {
+        stream.write(frame);
+        sent++;
+    }
+
+    function updateThreshold() {
+        const noise = percentile(noiseLevels, 0.1);
+        const speech = speechLevels.length > 0 ? percentile(speechLevels, 0.5) : Infinity;
+        threshold = Math.max(SILENCE_RMS_FLOOR, Math.min(noise * 3, speech / 2));
+    }
+
+    function hear(frame) {
+        const level = rms(frame);
+        frames++;
+        noiseLevels.push(level);
+        if (noiseLevels.length > NOISE_WINDOW_FRAMES) noiseLevels.shift();
+        if (frames % THRESHOLD_EVERY_FRAMES === 0) updateThreshold();
+
+        const voiced = level >= threshold;
+        if (voiced) {
+            speechLevels.push(level);
+            if (speechLevels.length > SPEECH_WINDOW_FRAMES) speechLevels.shift();
+        }
+
+        if (speaking) {
+            send(frame);
+            silentRun = voiced ? 0 : silentRun + 1;
+            if (silentRun >= pauseFrames) {
+                speaking = false;
+                if (stream.flush) stream.flush();
+                gate.emit('activity', { speaking: false, at: frameSeconds(frames - silentRun) });
+            }
+        } else if (voiced) {
+            speaking = true;
+            silentRun = 0;
+            const start = frames - 1 - preroll.length;
+            spans.push({ sent: sent * FRAME_SECONDS, heard: start * FRAME_SECONDS });
+            preroll.forEach(send);
+            preroll = [];
+            send(frame);
+            gate.emit('activity', { speaking: true, at: frameSeconds(frames - 1) });
+        } else {
+            preroll.push(frame);
+            if (preroll.length > PREROLL_FRAMES) preroll.shift();
+        }
+    }
+
+    gate.write = (pcm) => {
+        pending = pending.length > 0 ? Buffer.concat([pending, pcm]) : pcm;
+        let offset = 0;
+        for (; offset + FRAME_BYTES <= pending.length; offset += FRAME_BYTES) {
+            hear(pending.subarray(offset, offset + FRAME_BYTES));
+        }
+        pending = Buffer.from(pending.subarray(offset));
+    };
+
+    gate.end = () => {
+        if (speaking && pending.length > 0) stream.write(pending);
+        pending = Buffer.alloc(0);
+        stream.end();
+    };
+
+    stream.on('result', (result) => {
+        const end = result.endTime !== undefined ? result.endTime : sent * FRAME_SECONDS;
+        gate.emit('result', {
+            ...result,
+            startTime: spanAt(end, true).heard,
+            endTime: result.endTime !== undefined ? heardTime(result.endTime, true) : undefined,
+            words: result.words && result.words.map(word => ({
+                ...word,
+                start: heardTime(word.start, false),
+                end: heardTime(word.end, true)
+            }))
+        });
+    });
+    stream.on('error', error => gate.emit('error', error));
+    stream.on('end', () => gate.emit('end'));
+
+    return gate;
+}
+
+module.exports = { createLevelMeter, splitOnSilence, createVoiceGate };
@@ -0,0 +1,114 @@
+// File-based store for recorded sessions: one JSON file per session, plus the original
+// WebM audio when audio saving is enabled.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const PREVIEW_LENGTH = 120;
+
+function createSessionStore(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const jsonPath = id => path.join(dir, `${id}.json`);
+    const audioPath = id => path.join(dir, `${id}.webm`);
+    const writes = new Map(); // id → last pending write, so saves of one session land in order
+    const deleted = new Set(); // ids deleted, so a save still on its way (a correction) can't bring one back
+
+    async function get(id) {
+        if (!ID_PATTERN.test(id)) return null;
+        try {
+            return JSON.parse(await fs.promises.readFile(jsonPath(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    return {
+        newId() {
+            return crypto.randomUUID();
+        },
+
+        // Write the whole session (atomically, via a temp file and rename). A deleted session
+        // stays deleted: saving it again does nothing.
+        save(session) {
+            if (deleted.has(session.id)) return Promise.resolve();
+            const previous = writes.get(session.id) || Promise.resolve();
+            const write = previous.catch(() => {}).then(async () => {
+                const tempPath = `${jsonPath(session.id)}.${crypto.randomUUID()}.tmp`;
+                await fs.promises.writeFile(tempPath, JSON.stringify(session), 'utf8');
+                await fs.promises.rename(tempPath, jsonPath(session.id));
+            });
+
+            writes.set(session.id, write);
+            write.finally(() => {
+                if (writes.get(session.id) === write) writes.delete(session.id);
+            }).catch(() => {});
+            return write;
+        },
+
+        get,
+
+        // Summaries of all sessions, newest first
+        async list() {
+            const files = (await fs.promises.readdir(dir)).filter(file => file.endsWith('.json'));
+            const sessions = [];
+            for (const file of files) {
+                const session = await get(path.basename(file, '.json'));
+                if (session) sessions.push(summarize(session));
+            }
+            return sessions.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+        },
+
+        async delete(id) {
+            if (!ID_PATTERN.test(id)) return false;
+            deleted.add(id);
+            await writes.get(id);
+
+            let removed = false;
+            for (const file of [jsonPath(id), audioPath(id)]) {
+                try {
+                    await fs.promises.unlink(file);
+                    removed = true;
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error;
+                }
+            }
+            return removed;
+        },
+
+        // Append-only stream for a session's audio as it is recorded
+        createAudioWriter(id) {
+            return fs.createWriteStream(audioPath(id));
+        },
+
+        // Path of the saved audio, or null if there is none
+        audioFile(id) {
+            if (!ID_PATTERN.test(id)) return null;
+            return fs.existsSync(audioPath(id)) ? audioPath(id) : null;
+        }
+    };
+}
+
+// List entry for a session: everything except the segments themselves (and, for practice
+// attempts, the word-by-word result)
+function summarize(session) {
+    const { segments = [], practice, ...rest } = session;
+    const preview = segments.map(segment => segment.arabic).join(' ');
+    return {
+        ...rest,
+        ...(practice && {
+            practice: {
+                reference: practice.passage.reference,
+                surah: practice.passage.surah,
+                surahTransliteration: practice.passage.surahTransliteration,
+                score: practice.score
+            }
+        }),
+        segmentCount: segments.length,
+        preview: preview.length > PREVIEW_LENGTH ? preview.slice(0, PREVIEW_LENGTH) + '…' : preview
+    };
+}
+
+module.exports = { createSessionStore };
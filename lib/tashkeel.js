@@ -0,0 +1,170 @@
+// Tashkeel (vowel mark) restoration for recognized Arabic, which recognizers return bare.
+//
+// Each word is looked up in a lexicon of vowelled spellings: every word of the Quran corpus
+// (converted from Uthmani to everyday spelling) plus a bundled list of what is said in prayer
+// outside the recitation. A word that appears vowelled more than one way gets, letter by
+// letter, only the marks its spellings agree on, so a case ending that varies is left off
+// instead of guessed. Words the lexicon doesn't know are left as recognized.
+const fs = require('fs');
+const path = require('path');
+const { normalizeWord, stripDiacritics } = require('./arabic');
+
+const WORD_LIST = path.join(__dirname, '..', 'data', 'tashkeel', 'prayer.txt');
+
+// Share of a word's spellings that must agree on a letter's marks before they are added
+const AGREEMENT = 0.75;
+// Spellings seen after the same previous word before that context is trusted over the word alone
+const MIN_CONTEXT = 2;
+// A word list occurrence counts this many times a Quran occurrence: it is what is said in prayer
+const WORD_LIST_WEIGHT = 10;
+
+const HARAKAT = /[\u064B-\u0652\u0670]/;
+const SUKUN = '\u0652';
+const SHADDA = '\u0651';
+const ALEF = '\u0627';
+
+// Uthmani marks with an everyday equivalent (sukun, and the tanween variants of this corpus)
+const UTHMANI_MARKS = { '\u06E1': SUKUN, '\u0657': '\u064B', '\u065E': '\u064C', '\u0656': '\u064D' };
+// Short vowel followed by a small meem: tanween pronounced m, written as plain tanween
+const VOWEL_TANWEEN = { '\u064E': '\u064B', '\u064F': '\u064C', '\u0650': '\u064D' };
+// Marks of recitation rather than spelling: silent letters (0652 here), maddah, small letters,
+// pause signs
+const RECITATION_MARKS = /[\u0652\u0653\u065C\u06D6-\u06E0\u06E2-\u06E7\u06E9-\u06ED]/g;
+// Spellings that have no simple everyday form (hamza carried on a tatweel, small noon)
+const UNCONVERTIBLE = /[\u0640\u0654\u0655\u06E8]/;
+
+// Everyday vowelled spellings of a Uthmani word: as written (الرَّحْمَٰنِ) and with the
+// superscript alef as a full one (العَالَمِينَ), since recognizers spell the long ā either way.
+// Empty when the word can't be converted.
+function everydaySpellings(word) {
+    if (UNCONVERTIBLE.test(word)) return [];
+
+    const spelled = word
+        .replace(/\u0671/g, ALEF)
+        .replace(/[\u064E\u064F\u0650][\u06E2\u06ED]/g, pair => VOWEL_TANWEEN[pair[0]])
+        .replace(RECITATION_MARKS, '')
+        .replace(/[\u06E1\u0657\u065E\u0656]/g, mark => UTHMANI_MARKS[mark])
+        .replace(/\u0649\u0670/g, '\u0649'); // عَلَىٰ is plain عَلَى
+    if (!HARAKAT.test(spelled)) return [];
+
+    const withAlef = spelled.replace(/\u0670/g, ALEF);
+    return withAlef === spelled ? [spelled] : [spelled, withAlef];
+}
+
+// [{ letter, shadda, vowel }]: the shadda is voted on apart from the vowel, because a case
+// ending can change the vowel (رَبَّنَا, رَبُّنَا) while the doubling stays
+function letters(word) {
+    const result = [];
+    for (const char of word) {
+        if (HARAKAT.test(char) && result.length > 0) {
+            const letter = result[result.length - 1];
+            if (char === SHADDA) {
+                letter.shadda = SHADDA;
+            } else {
+                letter.vowel += char;
+            }
+        } else {
+            result.push({ letter: char, shadda: '', vowel: '' });
+        }
+    }
+    return result;
+}
+
+function createDiacritizer(corpus, options = {}) {
+    const wordList = options.wordList || WORD_LIST;
+
+    // normalized word → vowelled spelling → weight, alone and after a previous word
+    const words = new Map();
+    const pairs = new Map();
+
+    function count(table, key, spelling, weight) {
+        if (!table.has(key)) table.set(key, new Map());
+        const spellings = table.get(key);
+        spellings.set(spelling, (spellings.get(spelling) || 0) + weight);
+    }
+
+    // A passage, as the everyday spellings of each of its words
+    function learn(passage, weight) {
+        let previousKeys = [];
+        for (const spellings of passage) {
+            const keys = spellings.map(normalizeWord);
+            spellings.forEach((spelling, index) => {
+                count(words, keys[index], spelling, weight);
+                previousKeys.forEach(previous => count(pairs, `${previous} ${keys[index]}`, spelling, weight));
+            });
+            previousKeys = keys;
+        }
+    }
+
+    for (const verse of corpus.verses) {
+        learn(verse.arabic.split(/\s+/).filter(word => normalizeWord(word)).map(everydaySpellings), 1);
+    }
+    if (fs.existsSync(wordList)) {
+        fs.readFileSync(wordList, 'utf8').split('\n')
+            .filter(line => line.trim() && !line.startsWith('#'))
+            .forEach(line => learn(line.trim().split(/\s+/).map(word => [word]), WORD_LIST_WEIGHT));
+    } else {
+        console.warn(`Tashkeel word list not found at ${wordList}; using the Quran corpus only`);
+    }
+
+    // The marks a word's spellings agree on, on the letters of its most common spelling
+    function consensus(spellings) {
+        const bySkeleton = new Map();
+        for (const [spelling, weight] of spellings) {
+            const skeleton = stripDiacritics(spelling);
+            if (!bySkeleton.has(skeleton)) bySkeleton.set(skeleton, { weight: 0, spellings: [] });
+            const group = bySkeleton.get(skeleton);
+            group.weight += weight;
+            group.spellings.push({ letters: letters(spelling), weight });
+        }
+        const group = [...bySkeleton.values()].sort((a, b) => b.weight - a.weight)[0];
+
+        // The mark (shadda or vowel) most of the spellings put on a letter, if enough agree
+        function agreed(index, part) {
+            const votes = new Map();
+            for (const spelling of group.spellings) {
+                const mark = spelling.letters[index][part];
+                votes.set(mark, (votes.get(mark) || 0) + spelling.weight);
+            }
+            const [mark, weight] = [...votes].sort((a, b) => b[1] - a[1])[0];
+            return weight / group.weight >= AGREEMENT ? mark : '';
+        }
+
+        return group.spellings[0].letters
+            .map(({ letter }, index) => letter + agreed(index, 'shadda') + agreed(index, 'vowel'))
+            .join('');
+    }
+
+    function total(spellings) {
+        let sum = 0;
+        for (const weight of spellings.values()) sum += weight;
+        return sum;
+    }
+
+    // One word, given the normalized word before it (or null)
+    function restoreWord(word, previous) {
+        const key = normalizeWord(word);
+        if (!key || HARAKAT.test(word)) return word; // not Arabic, or already vowelled
+
+        const inContext = previous ? pairs.get(`${previous} ${key}`) : null;
+        const spellings = inContext && total(inContext) >= MIN_CONTEXT ? inContext : words.get(key);
+        if (!spellings) return word;
+
+        const restored = consensus(spellings);
+        return HARAKAT.test(restored) ? restored : word;
+    }
+
+    return {
+        // Recognized text with vowel marks added to the words the lexicon knows
+        restore(text) {
+            let previous = null;
+            return (text || '').split(' ').map((word) => {
+                const restored = restoreWord(word, previous);
+                previous = normalizeWord(word) || previous;
+                return restored;
+            }).join(' ');
+        }
+    };
+}
+
+module.exports = { createDiacritizer, everydaySpellings };
@@ -0,0 +1,48 @@
+// Temporary files. Everything this server writes to the OS temp directory is named
+// understandsalah-<kind>-<uuid>, so files a crash left behind can be found and removed when
+// the server next starts.
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEMP_PREFIX = 'understandsalah-';
+
+// Files younger than this may belong to another server running on the same machine
+const STALE_AFTER_MS = 60 * 60 * 1000;
+
+// A new, unique path in the OS temp directory, e.g. tempFilePath('upload') or
+// tempFilePath('whisper', '.wav')
+function tempFilePath(kind, extension = '') {
+    return path.join(os.tmpdir(), `${TEMP_PREFIX}${kind}-${crypto.randomUUID()}${extension}`);
+}
+
+// Delete the files in `dir` that `isTemp(name)` recognizes and that haven't been touched for
+// `staleAfterMs`. Resolves to the number removed; a missing directory has none.
+async function sweepTempFiles(dir, isTemp, staleAfterMs = STALE_AFTER_MS) {
+    let names;
+    try {
+        names = await fs.promises.readdir(dir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+
+    let removed = 0;
+    for (const name of names.filter(isTemp)) {
+        const filePath = path.join(dir, name);
+        try {
+            const stats = await fs.promises.stat(filePath);
+            if (stats.isFile() && Date.now() - stats.mtimeMs > staleAfterMs) {
+                await fs.promises.unlink(filePath);
+                removed++;
+            }
+        } catch (error) {
+            // Removed in the meantime, or not ours to remove
+            if (error.code !== 'ENOENT') console.warn(`Could not remove temp file ${filePath}:`, error.message);
+        }
+    }
+    return removed;
+}
+
+module.exports = { tempFilePath, sweepTempFiles, TEMP_PREFIX };
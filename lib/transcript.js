@@ -0,0 +1,132 @@
+// Timed transcript of one recording, built from streaming recognition results.
+//
+// Interim results keep revising the open segment; a final result closes it and the next
+// result opens a new one. A segment therefore keeps the same id from its first interim word
+// to its final text, and clients replace segments by id instead of appending text.
+const { withAlternatives } = require('./alternatives');
+
+function round(seconds) {
+    return Math.round(seconds * 100) / 100;
+}
+
+// Word timings for engines that don't report them: the segment's time shared out between
+// its words by length, which is close enough to follow along
+function estimateWords(text, start, end) {
+    const words = text.split(/\s+/).filter(Boolean);
+    const letters = words.reduce((sum, word) => sum + word.length, 0);
+    const perLetter = letters > 0 ? (end - start) / letters : 0;
+
+    let time = start;
+    return words.map((word) => {
+        const wordStart = time;
+        time += word.length * perLetter;
+        return { word, start: wordStart, end: time };
+    });
+}
+
+function createTranscript() {
+    const segments = [];
+    let open = null;
+    let nextId = 1;
+    let lastEnd = 0;
+
+    return {
+        // Apply a recognizer result heard by audio time `now` (seconds since the recording
+        // started). A result's startTime, when known, is where the speech it opens began.
+        // Returns the segment it belongs to.
+        update(result, now) {
+            if (!open) {
+                open = {
+                    id: nextId++,
+                    start: result.startTime !== undefined ? Math.max(lastEnd, result.startTime) : lastEnd,
+                    end: now,
+                    isFinal: false,
+                    arabic: '',
+                    english: '',
+                    translations: {},
+                    transliteration: {},
+                    verse: null,
+                    dhikr: null,
+                    confidence: null,
+                    alternatives: [],
+                    words: []
+                };
+                segments.push(open);
+            }
+
+            const segment = open;
+            segment.arabic = result.transcript.trim();
+            segment.end = Math.max(segment.start, result.endTime !== undefined ? result.endTime : now);
+            // What the engine reports of its certainty: 0..1 (null when it doesn't say), and its
+            // other hypotheses, which also give each word the words it may have been
+            segment.confidence = result.confidence !== undefined ? result.confidence : null;
+            segment.alternatives = result.alternatives || [];
+            segment.words = withAlternatives(result.words || estimateWords(segment.arabic, segment.start, segment.end), segment.alternatives);
+
+            if (result.isFinal) {
+                segment.isFinal = true;
+                lastEnd = segment.end;
+                open = null;
+
+                // A final result with no words withdraws the segment
+                if (!segment.arabic) {
+                    segments.splice(segments.indexOf(segment), 1);
+                }
+            }
+
+            return segment;
+        },
+
+        // Everything so far, including the open interim segment (catch-up for late joiners)
+        segments() {
+            return segments.map(serialize);
+        },
+
+        // The settled transcript: final segments only, in order
+        finalSegments() {
+            return segments.filter(segment => segment.isFinal).map(serialize);
+        },
+
+        // The segment itself (not a copy), e.g. to add translations later
+        get(id) {
+            return segments.find(segment => segment.id === id) || null;
+        }
+    };
+}
+
+// Plain copy of a segment for transcription-update / transcript-snapshot
+function serialize(segment) {
+    return {
+        id: segment.id,
+        start: round(segment.start),
+        end: round(segment.end),
+        isFinal: segment.isFinal,
+        arabic: segment.arabic,
+        english: segment.english,
+        translations: { ...segment.translations },
+        transliteration: { ...segment.transliteration },
+        verse: segment.verse,
+        dhikr: segment.dhikr || null,
+        confidence: typeof segment.confidence === 'number' ? round(segment.confidence) : null,
+        alternatives: (segment.alternatives || []).map(alternative => ({
+            transcript: alternative.transcript,
+            confidence: typeof alternative.confidence === 'number' ? round(alternative.confidence) : null
+        })),
+        words: (segment.words || []).map(serializeWord)
+    };
+}
+
+// A timed word, with the engine's confidence in it, the other words it may have been and
+// whether the user corrected it, when there are any
+function serializeWord(word) {
+    return {
+        word: word.word,
+        start: round(word.start),
+        end: round(word.end),
+        ...(typeof word.confidence === 'number' && { confidence: round(word.confidence) }),
+        ...(word.alternatives && word.alternatives.length > 0 && { alternatives: [...word.alternatives] }),
+        ...(word.corrected && { corrected: true })
+    };
+}
+
+module.exports = { createTranscript, serialize, estimateWords };
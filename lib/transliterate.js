@@ -0,0 +1,335 @@
+// Romanization of Arabic text, so listeners who can't read the script yet can follow the
+// pronunciation.
+//
+// Two schemes: "simple" (plain ASCII, long vowels doubled, the article assimilated and run
+// into the previous word the way it is recited: bismillaahir-rahmaanir-raheem) and "ala-lc"
+// (the ALA-LC library romanization: ḥ ṣ ʻ ʼ, macrons for long vowels, al- kept as written).
+// Both read the fully vowelled Uthmani text of the corpus, including its small letters and
+// silent-letter marks. Unvowelled recognizer output goes through the same rules but can only
+// show the consonants and long vowels that are actually written.
+const { normalizeWord } = require('./arabic');
+
+const FATHA = '\u064E';
+const DAMMA = '\u064F';
+const KASRA = '\u0650';
+const SHADDA = '\u0651';
+const ROUND_ZERO = '\u0652';        // sukun in everyday spelling; on an alef, the letter is silent
+const SILENT = '\u06E0';
+const SUPERSCRIPT_ALEF = '\u0670';
+const SMALL_WAW = '\u06E5';
+const SMALL_YEH = /[\u06E6\u06E7]/;
+const SMALL_NOON = '\u06E8';
+const HAMZA_MARK = /[\u0654\u0655]/;
+const SMALL_MEEM = /[\u06E2\u06ED]/; // after a short vowel: tanween pronounced m (قَآئِمَۢا)
+const TANWEEN = { '\u064B': 'an', '\u0657': 'an', '\u064C': 'un', '\u065E': 'un', '\u064D': 'in', '\u0656': 'in' };
+const VOWEL_MARKS = /[\u064B-\u0652\u0656\u0657\u065E\u0670]/;
+
+const TATWEEL = '\u0640';
+const ALEF = '\u0627';
+const ALEF_WASLA = '\u0671';
+const ALEF_MAKSURA = '\u0649';
+const LAM = '\u0644';
+const WAW = '\u0648';
+const YEH = '\u064A';
+const TA_MARBUTA = '\u0629';
+const HAMZA_LETTERS = '\u0621\u0622\u0623\u0624\u0625\u0626';
+const PREFIX_LETTERS = '\u0648\u0628\u0641\u0643\u0644'; // و ب ف ك ل
+
+// Letters that take over the article's lam (ar-rahmaan, ash-shams)
+const SUN_LETTERS = '\u062A\u062B\u062F\u0630\u0631\u0632\u0633\u0634\u0635\u0636\u0637\u0638\u0644\u0646';
+
+// Quranic annotation: pause and stop signs, rub el hizb, sajdah and similar marks
+const ANNOTATION = /[\u065C\u06D6-\u06DE\u06E9-\u06ED]/g;
+
+// Unvowelled spellings of the name of God and its common compounds, which would otherwise
+// come out as bare consonants
+const UNVOWELLED_ALLAH = {
+    'الله': 'ٱللَّه',
+    'لله': 'لِلَّه',
+    'بالله': 'بِٱللَّه',
+    'والله': 'وَٱللَّه',
+    'تالله': 'تَٱللَّه',
+    'اللهم': 'ٱللَّهُمَّ'
+};
+const ALLAH_WORD = /^[وفبت]?ا?لله(م)?$/;
+
+// Disjoined letters opening some surahs (الٓمٓ, يسٓ), read out as letter names
+const DISJOINED_LETTERS = new Set(['الم', 'المص', 'الر', 'المر', 'كهيعص', 'طه', 'طسم', 'طس', 'يس', 'ص', 'حم', 'عسق', 'ق', 'ن']);
+const MADDAH = '\u0653';
+
+const SCHEMES = {
+    simple: {
+        consonants: {
+            'ء': '\'', 'ب': 'b', 'ت': 't', 'ث': 'th', 'ج': 'j', 'ح': 'h', 'خ': 'kh', 'د': 'd',
+            'ذ': 'dh', 'ر': 'r', 'ز': 'z', 'س': 's', 'ش': 'sh', 'ص': 's', 'ض': 'd', 'ط': 't',
+            'ظ': 'z', 'ع': '\'', 'غ': 'gh', 'ف': 'f', 'ق': 'q', 'ك': 'k', 'ل': 'l', 'م': 'm',
+            'ن': 'n', 'ه': 'h', 'و': 'w', 'ي': 'y', 'ة': 't'
+        },
+        vowels: { a: 'a', i: 'i', u: 'u', A: 'aa', I: 'ee', U: 'oo', an: 'an', in: 'in', un: 'un' },
+        letterNames: {
+            'ا': 'alif', 'ل': 'laam', 'م': 'meem', 'ص': 'saad', 'ر': 'raa', 'ك': 'kaaf', 'ه': 'haa',
+            'ي': 'yaa', 'ع': '\'ayn', 'ط': 'taa', 'س': 'seen', 'ح': 'haa', 'ق': 'qaaf', 'ن': 'noon'
+        },
+        assimilate: true,   // ar-rahmaan rather than al-rahmaan
+        elide: true         // bismillaah: the article's alef is silent after a vowel
+    },
+    'ala-lc': {
+        consonants: {
+            'ء': 'ʼ', 'ب': 'b', 'ت': 't', 'ث': 'th', 'ج': 'j', 'ح': 'ḥ', 'خ': 'kh', 'د': 'd',
+            'ذ': 'dh', 'ر': 'r', 'ز': 'z', 'س': 's', 'ش': 'sh', 'ص': 'ṣ', 'ض': 'ḍ', 'ط': 'ṭ',
+            'ظ': 'ẓ', 'ع': 'ʻ', 'غ': 'gh', 'ف': 'f', 'ق': 'q', 'ك': 'k', 'ل': 'l', 'م': 'm',
+            'ن': 'n', 'ه': 'h', 'و': 'w', 'ي': 'y', 'ة': 't'
+        },
+        vowels: { a: 'a', i: 'i', u: 'u', A: 'ā', I: 'ī', U: 'ū', an: 'an', in: 'in', un: 'un' },
+        letterNames: {
+            'ا': 'alif', 'ل': 'lām', 'م': 'mīm', 'ص': 'ṣād', 'ر': 'rā', 'ك': 'kāf', 'ه': 'hā',
+            'ي': 'yā', 'ع': 'ʻayn', 'ط': 'ṭā', 'س': 'sīn', 'ح': 'ḥā', 'ق': 'qāf', 'ن': 'nūn'
+        },
+        assimilate: false,
+        elide: false
+    }
+};
+
+// Split a word into letters, each with the marks written on it. Small letters and a tatweel
+// carrying marks (يَـٰٓـَٔادَمُ) become marks of the letter before them or units of their own.
+function parseUnits(word) {
+    const units = [];
+    for (const char of word) {
+        if (/[ء-يٱ]/.test(char) || (char === TATWEEL)) {
+            units.push({ letter: char, marks: '' });
+        } else if (units.length > 0) {
+            units[units.length - 1].marks += char;
+        }
+    }
+    // A bare tatweel only stretches the line
+    return units.filter(unit => unit.letter !== TATWEEL || unit.marks);
+}
+
+// The short vowel (or tanween) marked on a letter, '' for none
+function markedVowel(marks) {
+    const nunation = SMALL_MEEM.test(marks) ? 'n' : '';
+    for (const char of marks) {
+        if (char === FATHA) return 'a' + nunation;
+        if (char === KASRA) return 'i' + nunation;
+        if (char === DAMMA) return 'u' + nunation;
+        if (TANWEEN[char]) return TANWEEN[char];
+    }
+    return '';
+}
+
+// The article written with a plain alef: at the start of unvowelled text, or in vowelled
+// everyday spelling (restored tashkeel) at the start or after a one-letter prefix, with a lam
+// that has no vowel of its own (الْحَمْدُ, وَالصَّلَوَاتُ, الَّذِي but not وَالِدَيْنِ)
+function isPlainArticle(units, k, unvowelled) {
+    const { letter, marks } = units[k];
+    const next = units[k + 1];
+    if (letter !== ALEF || !next || next.letter !== LAM || units.length <= k + 2) return false;
+    if (unvowelled) return k === 0;
+
+    const lamVowelless = next.marks.includes(SHADDA) || !VOWEL_MARKS.test(next.marks.replace(ROUND_ZERO, ''));
+    const prefixed = k === 1 && PREFIX_LETTERS.includes(units[0].letter) && VOWEL_MARKS.test(units[0].marks);
+    return !VOWEL_MARKS.test(marks) && lamVowelless && (k === 0 || prefixed);
+}
+
+function lengthen(vowel) {
+    return { a: 'A', i: 'I', u: 'U' }[vowel] || vowel;
+}
+
+// Sounds of one word as pieces { consonant, vowel }, vowel being a short vowel (a i u), a long
+// one (A I U), tanween (an in un) or ''. Pieces marked `wasla` are the alef that is silent
+// when the word follows a vowel; `separator` pieces hold the article's hyphen.
+function wordPieces(word, scheme) {
+    const normalized = normalizeWord(word);
+    const unvowelled = !VOWEL_MARKS.test(word);
+    if (unvowelled && UNVOWELLED_ALLAH[normalized]) {
+        word = UNVOWELLED_ALLAH[normalized];
+    }
+    const isAllah = ALLAH_WORD.test(normalized);
+
+    if (DISJOINED_LETTERS.has(normalized) && (word.includes(MADDAH) || normalized === 'طه')) {
+        const names = [...normalized].map(letter => scheme.letterNames[letter]).join('-');
+        return [{ consonant: names, vowel: '' }];
+    }
+
+    const units = parseUnits(word);
+    const pieces = [];
+    const last = () => pieces[pieces.length - 1];
+    let keepSingle = false; // the letter after an assimilated article isn't doubled again
+
+    for (let k = 0; k < units.length; k++) {
+        const { letter, marks } = units[k];
+        const vowel = markedVowel(marks);
+        const previous = last();
+        const wordStart = pieces.filter(piece => !piece.separator).length === 0;
+        const afterArticle = Boolean(previous && previous.separator);
+
+        // The article (ٱل, or ال in everyday spelling) and other connecting alefs
+        const next = units[k + 1];
+        if (letter === ALEF_WASLA || isPlainArticle(units, k, unvowelled)) {
+            const afterPrefix = !wordStart;
+            if (next && next.letter === LAM) {
+                const following = units[k + 2];
+                if (next.marks.includes(SHADDA) || (following && following.letter === LAM && following.marks.includes(SHADDA))) {
+                    // ٱلَّذِينَ, ٱللَّه: the article's lam is the doubled letter
+                    if (afterPrefix && !scheme.elide) pieces.push({ consonant: '', vowel: '', separator: '-' });
+                    if (!afterPrefix || !scheme.elide) pieces.push({ consonant: '', vowel: 'a', wasla: true });
+                    if (!next.marks.includes(SHADDA)) k += 1;
+                    continue;
+                }
+
+                const sun = following && following.marks.includes(SHADDA) && !VOWEL_MARKS.test(next.marks.replace(ROUND_ZERO, '')) &&
+                    SUN_LETTERS.includes(following.letter);
+                // After a prefix (بِٱلۡ, وَٱلۡ) the alef is silent: bil-, wal- (ALA-LC keeps bi-al-)
+                if (afterPrefix && !scheme.elide) pieces.push({ consonant: '', vowel: '', separator: '-' });
+                if (!afterPrefix || !scheme.elide) pieces.push({ consonant: '', vowel: 'a', wasla: true });
+                if (sun && scheme.assimilate) {
+                    pieces.push({ consonant: scheme.consonants[following.letter], vowel: '' });
+                } else {
+                    pieces.push({ consonant: scheme.consonants[LAM], vowel: '' });
+                }
+                pieces.push({ consonant: '', vowel: '', separator: '-' });
+                keepSingle = Boolean(sun);
+                k += 1;
+            } else if (!afterPrefix) {
+                // Imperatives and verbal nouns (ٱهۡدِنَا): pronounced i when nothing comes before
+                pieces.push({ consonant: '', vowel: 'i', wasla: true });
+            }
+            continue;
+        }
+
+        // Silent letters (أَنَا۠, ءَامَنُواْ)
+        if (marks.includes(SILENT) || (letter === ALEF && marks.includes(ROUND_ZERO))) continue;
+
+        // Long vowels written with a letter, and the letters that only carry them
+        if (letter === ALEF && !vowel && !marks.includes(SHADDA)) {
+            if (previous && previous.vowel === 'a') previous.vowel = 'A';
+            else if (previous && !previous.vowel && unvowelled && !previous.separator) previous.vowel = 'A';
+            else if (!previous || previous.separator) pieces.push({ consonant: '', vowel: 'a' });
+            continue;
+        }
+        if (letter === ALEF_MAKSURA && !vowel) {
+            if (previous && previous.vowel === 'an') continue;
+            if (previous && previous.vowel === 'i') previous.vowel = 'I';
+            else if (previous && (previous.vowel === 'a' || !previous.vowel)) previous.vowel = 'A';
+            continue;
+        }
+        // ٱلصَّلَوٰةَ: a waw or yeh carrying a superscript alef is only a long a
+        if ((letter === WAW || letter === YEH) && marks.includes(SUPERSCRIPT_ALEF) && !vowel && previous) {
+            previous.vowel = lengthen(previous.vowel || 'a');
+            continue;
+        }
+        if ((letter === WAW || letter === YEH) && !vowel && !marks.includes(SHADDA) && !HAMZA_MARK.test(marks) && previous) {
+            const own = letter === WAW ? 'u' : 'i';
+            if (previous.vowel === own || (unvowelled && !previous.vowel && !previous.separator)) {
+                previous.vowel = lengthen(own);
+                continue;
+            }
+        }
+
+        let consonant;
+        if (letter === TATWEEL) {
+            // A tatweel carries a hamza or small noon, or lengthens the vowel before it
+            if (HAMZA_MARK.test(marks)) consonant = scheme.consonants['ء'];
+            else if (marks.includes(SMALL_NOON)) consonant = scheme.consonants['ن'];
+            else {
+                if (previous && marks.includes(SUPERSCRIPT_ALEF)) previous.vowel = lengthen(previous.vowel || 'a');
+                else if (previous && SMALL_YEH.test(marks)) previous.vowel = lengthen(previous.vowel || 'i');
+                continue;
+            }
+        } else if (HAMZA_LETTERS.includes(letter) || HAMZA_MARK.test(marks)) {
+            consonant = wordStart || afterArticle ? '' : scheme.consonants['ء'];
+        } else if (letter === TA_MARBUTA) {
+            consonant = vowel ? scheme.consonants[TA_MARBUTA] : 'h';
+        } else {
+            consonant = scheme.consonants[letter] || '';
+        }
+
+        // A word-initial shadda (لِّلۡمُتَّقِينَ) only shows the merge with the previous word
+        if (marks.includes(SHADDA) && !keepSingle && !wordStart) consonant += consonant;
+        keepSingle = false;
+
+        // Long vowels written as marks (مَٰلِكِ, لَهُۥ, بِهِۦ) and the vowels of hamza seats
+        let sound = vowel;
+        if (letter === 'آ') sound = 'A';
+        if (!sound && letter === 'أ' && unvowelled) sound = 'a';
+        if (!sound && letter === 'إ' && unvowelled) sound = 'i';
+        if (marks.includes(SUPERSCRIPT_ALEF)) sound = 'A';
+        if (marks.includes(SMALL_WAW)) sound = 'U';
+        if (SMALL_YEH.test(marks)) sound = 'I';
+
+        // Allah is written without the long alef
+        if (isAllah && letter === LAM && marks.includes(SHADDA) && sound === 'a') sound = 'A';
+
+        pieces.push({
+            consonant,
+            vowel: sound,
+            taMarbuta: letter === TA_MARBUTA,
+            silah: marks.includes(SMALL_WAW) || SMALL_YEH.test(marks)
+        });
+    }
+
+    return pieces;
+}
+
+// How a word ends when the reciter stops on it: no final short vowel or -in/-un, -an
+// becomes a long a, ta marbuta becomes h
+function pause(pieces) {
+    const piece = [...pieces].reverse().find(candidate => candidate.consonant || candidate.vowel);
+    if (!piece) return;
+    if (piece.taMarbuta) {
+        piece.consonant = 'h';
+        piece.vowel = '';
+    } else if (piece.vowel === 'an') {
+        piece.vowel = 'A';
+    } else if (['a', 'i', 'u', 'in', 'un'].includes(piece.vowel) || piece.silah) {
+        piece.vowel = '';
+    }
+}
+
+function render(pieces, scheme) {
+    return pieces
+        .map(piece => piece.separator || piece.consonant + (piece.vowel ? scheme.vowels[piece.vowel] : ''))
+        .join('');
+}
+
+// Romanize a phrase (one ayah, or one recognized segment) in a scheme from SCHEMES. The last
+// word is given its pausal form, as recited at the end of an ayah.
+function transliterate(text, schemeName = 'simple') {
+    const scheme = SCHEMES[schemeName];
+    if (!scheme) throw new Error(`Unknown transliteration scheme: ${schemeName}`);
+
+    const words = (text || '')
+        .replace(/\u2009/g, '')
+        .replace(ANNOTATION, '')
+        .split(/\s+/)
+        .map(word => wordPieces(word, scheme))
+        .filter(pieces => pieces.some(piece => piece.consonant || piece.vowel));
+    if (words.length === 0) return '';
+
+    pause(words[words.length - 1]);
+
+    const output = [];
+    words.forEach((pieces, index) => {
+        const previous = words[index - 1];
+        const previousEnd = previous && previous[previous.length - 1];
+
+        // After a vowel the connecting alef is silent and the words run together
+        if (scheme.elide && pieces[0].wasla && previousEnd && previousEnd.vowel) {
+            previousEnd.vowel = { A: 'a', I: 'i', U: 'u' }[previousEnd.vowel] || previousEnd.vowel;
+            output[output.length - 1] = render(previous, scheme) + render(pieces.slice(1), scheme);
+            words[index] = [...previous, ...pieces.slice(1)];
+            return;
+        }
+        output.push(render(pieces, scheme));
+    });
+
+    const result = output.join(' ');
+    return result.charAt(0).toUpperCase() + result.slice(1);
+}
+
+// Every scheme at once: { simple, 'ala-lc' }
+function transliterateAll(text) {
+    return Object.fromEntries(Object.keys(SCHEMES).map(name => [name, transliterate(text, name)]));
+}
+
+module.exports = { transliterate, transliterateAll, SCHEMES };
@@ -0,0 +1,44 @@
+// 16kHz mono 16-bit PCM helpers
+
+const SAMPLE_RATE = 16000;
+const BYTES_PER_SECOND = SAMPLE_RATE * 2;
+
+// Wrap raw PCM in a WAV header
+function pcmToWav(pcm) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);               // fmt chunk size
+    header.writeUInt16LE(1, 20);                // PCM
+    header.writeUInt16LE(1, 22);                // mono
+    header.writeUInt32LE(SAMPLE_RATE, 24);
+    header.writeUInt32LE(BYTES_PER_SECOND, 28); // byte rate
+    header.writeUInt16LE(2, 32);                // block align
+    header.writeUInt16LE(16, 34);               // bits per sample
+    header.write('data', 36);
+    header.writeUInt32LE(pcm.length, 40);
+    return Buffer.concat([header, pcm]);
+}
+
+// PCM samples from a WAV buffer (skips the header, whatever its length)
+function pcmFromWav(wavBuffer) {
+    const dataIndex = wavBuffer.indexOf('data');
+    return dataIndex >= 0 ? wavBuffer.subarray(dataIndex + 8) : wavBuffer;
+}
+
+// Root mean square level of 16-bit samples
+function rms(pcm) {
+    const samples = Math.floor(pcm.length / 2);
+    if (samples === 0) return 0;
+
+    let sum = 0;
+    for (let i = 0; i < samples; i++) {
+        const sample = pcm.readInt16LE(i * 2);
+        sum += sample * sample;
+    }
+    return Math.sqrt(sum / samples);
+}
+
+module.exports = { SAMPLE_RATE, BYTES_PER_SECOND, pcmToWav, pcmFromWav, rms };
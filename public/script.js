@@ -1,34 +1,175 @@
+// Access key (a token or the mosque's invite key), when the server requires one. Invite links
+// carry it as ?key=, which is remembered and taken out of the address bar.
+let accessKey = new URLSearchParams(window.location.search).get('key') || localStorage.getItem('accessKey') || '';
+if (new URLSearchParams(window.location.search).has('key')) {
+    localStorage.setItem('accessKey', accessKey);
+    const params = new URLSearchParams(window.location.search);
+    params.delete('key');
+    window.history.replaceState(null, '', window.location.pathname + (params.toString() ? `?${params}` : ''));
+}
+
 // Initialize Socket.IO connection
 // Use environment variable for backend URL, fallback to current host
 const backendUrl = window.BACKEND_URL || window.location.origin;
-const socket = io(backendUrl);
+const socket = io(backendUrl, { auth: callback => callback(accessKey ? { key: accessKey } : {}) });
 
 // DOM Elements
 const recordButton = document.getElementById('recordButton');
 const buttonText = document.getElementById('buttonText');
 const arabicTranscription = document.getElementById('arabicTranscription');
-const englishTranscription = document.getElementById('englishTranscription');
+const translationTranscription = document.getElementById('translationTranscription');
+const transliterationTranscription = document.getElementById('transliterationTranscription');
 const statusMessage = document.getElementById('statusMessage');
 const statusText = document.getElementById('statusText');
+const voiceIndicator = document.getElementById('voiceIndicator');
+const prayerStrip = document.getElementById('prayerStrip');
+const wordPopover = document.getElementById('wordPopover');
+const shareSessionButton = document.getElementById('shareSessionButton');
+const joinSessionButton = document.getElementById('joinSessionButton');
+const joinPanel = document.getElementById('joinPanel');
+const joinCodeInput = document.getElementById('joinCodeInput');
+const sharePanel = document.getElementById('sharePanel');
+const listenerBanner = document.getElementById('listenerBanner');
+const historyPanel = document.getElementById('historyPanel');
+const historyList = document.getElementById('historyList');
+const exportControls = document.getElementById('exportControls');
+const uploadZone = document.getElementById('uploadZone');
+const uploadInput = document.getElementById('uploadInput');
+const uploadText = document.getElementById('uploadText');
+const pendingPanel = document.getElementById('pendingPanel');
+const pendingList = document.getElementById('pendingList');
+const accessPanel = document.getElementById('accessPanel');
+const accessKeyInput = document.getElementById('accessKeyInput');
+const practicePanel = document.getElementById('practicePanel');
+const practiceSurah = document.getElementById('practiceSurah');
+const practiceAyahStart = document.getElementById('practiceAyahStart');
+const practiceAyahEnd = document.getElementById('practiceAyahEnd');
+const practiceResult = document.getElementById('practiceResult');
+const practiceHistory = document.getElementById('practiceHistory');
+const settingsPanel = document.getElementById('settingsPanel');
 
 // Audio recording variables
 let mediaRecorder = null;
 let audioStream = null;
 let isRecording = false;
-let chunks = [];
-
-// Transcription state with compact streaming
-let currentArabicText = '';
-let currentEnglishText = '';
-let lastTranscriptionTime = 0;
-let transcriptionBuffer = {
-    arabic: '',
-    english: '',
-    lastUpdate: 0,
-    pauseThreshold: 2000, // 2 seconds for breath pauses
-    maxLength: 300 // Maximum characters before truncation
+let sendQueue = Promise.resolve(); // keeps audio chunks (and stop-recording) in order
+
+// Surviving a lost connection: the recording carries on here, and once the server has resumed
+// it, the numbered chunks it didn't get are sent again
+let resumable = null;         // { sessionId, resumeToken } of the recording in progress
+let reconnecting = false;     // chunks are kept, not sent, until the server resumes the recording
+let stopWhenResumed = false;  // the recording was stopped while the connection was down
+let nextChunkSeq = 0;
+let recentChunks = [];        // [{ seq, data }], the last MAX_KEPT_CHUNKS chunks
+const MAX_KEPT_CHUNKS = 600;  // five minutes of 500ms chunks
+
+// Transcript segments from the server, keyed by segment id. A segment keeps its id from
+// the first interim words to its final text, so updates replace it rather than append.
+let segments = new Map();
+
+// For prayers, keep much more text than regular conversations
+const MAX_DISPLAY_LENGTH = 2000;
+const TRUNCATED_DISPLAY_LENGTH = 1500;
+
+// Quran verse matching: canonical text replaces raw recognition above this confidence
+const VERSE_CONFIDENCE_THRESHOLD = 0.75;
+
+// Recognized words the engine was less sure of than this are marked, to be checked and corrected
+const LOW_CONFIDENCE_THRESHOLD = 0.7;
+
+// Tapped words: the one the popover shows, lexicon lookups already made ("<language> <word>" →
+// result, null when not listed) and how many times of hearing a word the popover lists
+let tappedWord = null;
+const wordLookups = new Map();
+const MAX_OCCURRENCE_TIMES = 10;
+
+// Whether the lexicon lists a word (word → boolean): only listed words are offered to tap for
+// their meaning. Words shown but not checked yet are asked about together, a batch at a time.
+const knownWords = new Map();
+const uncheckedWords = new Set();
+let knownWordsCheck = null;
+const MAX_WORDS_PER_CHECK = 100;
+const ARABIC_LETTER = /[\u0621-\u064A]/;
+
+// Prayer mode shows the latest words only, so very long prayers stay fast to redraw
+const MAX_KARAOKE_UNITS = 800;
+
+// Shared sessions
+let sharedRoomCode = null;   // room this device broadcasts its recording to
+let followedRoomCode = null; // room this device follows as a read-only listener
+
+// Uploaded file being transcribed (one at a time)
+let uploadInProgress = false;
+const UPLOAD_POLL_INTERVAL = 1000;
+const UPLOAD_PROMPT = '📁 Drop a recording here, or tap to choose a file';
+
+// Recordings made without a connection are kept in IndexedDB until they can be transcribed
+let offlineRecording = false; // the recording in progress stays on this device
+let offlineChunks = [];
+let uploadingPending = false;
+let pendingDb = null;
+const PENDING_DB = 'understandsalah';
+const PENDING_STORE = 'pendingRecordings';
+const OFFLINE_RECORDING_STATUS = 'No connection - recording on this device, to be transcribed once back online';
+
+// Saved session shown on screen (this device's recording, or one opened from history)
+let currentSessionId = null;
+
+// Recitation practice: surahs to choose a passage from (loaded when the panel first opens)
+let surahs = [];
+const PRACTICE_STATUSES = ['correct', 'mispronounced', 'missed', 'added'];
+
+// Translation languages: the first one fills the main translation box (and prayer mode),
+// any others get a box each. The server's list replaces this default on load.
+let availableLanguages = [{ code: 'en', name: 'English', nativeName: 'English', dir: 'ltr' }];
+let translationLanguages = loadLanguagePreference();
+
+// Romanization shown in the transliteration box: 'simple', 'ala-lc' or '' (box hidden)
+let transliterationScheme = localStorage.getItem('transliterationScheme') || '';
+const TRANSLITERATION_SCHEMES = { simple: 'Simple', 'ala-lc': 'ALA-LC' };
+
+// Per-device settings (⚙️ Settings): recognition choices sent with start-recording ('' leaves
+// it to the server) and display preferences applied to the page
+const DEFAULT_SETTINGS = { locale: '', model: '', phraseHints: [], fontSize: 'medium', arabicFont: '', theme: '' };
+const TEXT_SCALES = { small: 0.875, medium: 1, large: 1.25, 'x-large': 1.5 };
+const ARABIC_FONTS = ['Amiri', 'Scheherazade New', 'Noto Naskh Arabic']; // from Google Fonts
+const THEMES = ['night', 'light'];
+let settings = loadSettings();
+let recognitionChoices = { locales: [], models: [], maxPhraseHints: 50, maxPhraseLength: 100 };
+
+// Add vowel marks to recognized Arabic (sent with each recording and upload)
+let restoreTashkeel = localStorage.getItem('tashkeel') !== 'off';
+
+// The prayer being recorded ('' when not chosen), so the server counts its rak'at against it
+let selectedPrayer = localStorage.getItem('prayer') || '';
+const POSITION_NAMES = {
+    takbir: 'Opening takbir',
+    qiyam: 'Standing',
+    fatiha: 'Al-Fatiha',
+    surah: 'Recitation',
+    ruku: "Ruku'",
+    itidal: "Standing from ruku'",
+    sujud: 'Sujud',
+    jalsa: 'Sitting between sujud',
+    tashahhud: 'Tashahhud',
+    taslim: 'Taslim'
+};
+
+// What an empty box (or fullscreen view) says, by content type
+const PLACEHOLDERS = {
+    arabic: 'Waiting for speech...',
+    translation: 'Waiting for translation...',
+    transliteration: 'Waiting for transliteration...'
 };
 
+/**
+ * Address of a server API, with the access key when there is one
+ */
+function apiUrl(path) {
+    if (!accessKey) return backendUrl + path;
+    return `${backendUrl}${path}${path.includes('?') ? '&' : '?'}key=${encodeURIComponent(accessKey)}`;
+}
+
 /**
  * Show status message to user
  */
@@ -46,102 +187,741 @@ function showStatus(message, type = 'info') {
 }
 
 /**
- * Cumulative text building for continuous prayer transcription
+ * Keep the most recent part of a long prayer
  */
-function manageCumulativeTranscription(arabicText, englishText) {
-    // For prayers, we want to continuously append without fragmentation
+function truncateForDisplay(text) {
+    return text.length > MAX_DISPLAY_LENGTH ? '...' + text.slice(-TRUNCATED_DISPLAY_LENGTH) : text;
+}
 
-    if (arabicText && arabicText.trim()) {
-        // Clean up the text and append with appropriate spacing
-        const cleanArabic = arabicText.trim();
-        if (transcriptionBuffer.arabic.trim()) {
-            // If we already have text, append with space (avoiding double spaces)
-            const lastChar = transcriptionBuffer.arabic.trim().slice(-1);
-            const needsSpace = lastChar && ![' ', '\n'].includes(lastChar);
-            transcriptionBuffer.arabic += (needsSpace ? ' ' : '') + cleanArabic;
-        } else {
-            // First text, no prefix needed
-            transcriptionBuffer.arabic = cleanArabic;
+/**
+ * Convert a number to Arabic-Indic digits for ayah markers
+ */
+function toArabicDigits(number) {
+    return String(number).replace(/[0-9]/g, digit => String.fromCharCode(0x0660 + Number(digit)));
+}
+
+/**
+ * Words of a text that has no timings, all placed at one time
+ */
+function untimedWords(text, start) {
+    return text.split(/\s+/).filter(Boolean).map(word => ({ word, start, end: start }));
+}
+
+/**
+ * What the transcript shows, in order: matched ayat (each once), the prayer's fixed phrases
+ * and unmatched segments, with the timed words of each
+ */
+function transcriptParts() {
+    const parts = [];
+    const shownAyat = new Set(); // "surah:ayah" already rendered, so overlapping matches don't repeat verses
+
+    const ordered = [...segments.values()].sort((a, b) => a.id - b.id);
+    ordered.forEach(segment => {
+        // Show the matched Quran verse instead of raw recognizer output when we're confident
+        if (segment.verse && segment.verse.confidence >= VERSE_CONFIDENCE_THRESHOLD) {
+            const verse = segment.verse;
+            verse.ayat
+                .filter(ayah => !shownAyat.has(`${verse.surah}:${ayah.ayah}`))
+                .forEach(ayah => {
+                    shownAyat.add(`${verse.surah}:${ayah.ayah}`);
+                    parts.push({
+                        arabic: ayah.arabic,
+                        marker: `﴿${toArabicDigits(ayah.ayah)}﴾`,
+                        transliteration: ayah.transliteration || {},
+                        translations: Object.fromEntries(Object.entries(ayah.translations)
+                            .map(([language, text]) => [language, `${text} (${verse.surah}:${ayah.ayah})`])),
+                        words: ayah.words || untimedWords(ayah.arabic, segment.start)
+                    });
+                });
+            return;
         }
 
-        // For prayers, keep much more text than regular conversations (up to 2000 chars)
-        const maxPrayerLength = 2000;
-        if (transcriptionBuffer.arabic.length > maxPrayerLength) {
-            // Keep the most recent part of the prayer (last 1500 chars)
-            transcriptionBuffer.arabic = '...' + transcriptionBuffer.arabic.slice(-1500);
+        // Adhkar (takbir, tasbih, tashahhud...) as their canonical text and agreed translation;
+        // a phrase said several times is written out each time and translated once
+        if (segment.dhikr) {
+            segment.dhikr.phrases.forEach(phrase => {
+                const repeat = text => Array(phrase.count).fill(text).join(' ');
+                parts.push({
+                    arabic: repeat(phrase.arabic),
+                    marker: null,
+                    transliteration: Object.fromEntries(Object.entries(phrase.transliteration)
+                        .map(([scheme, text]) => [scheme, repeat(text)])),
+                    translations: Object.fromEntries(Object.entries(phrase.translations)
+                        .map(([language, text]) => [language, phrase.count > 1 ? `${text} (×${phrase.count})` : text])),
+                    words: phrase.words
+                });
+            });
+            return;
         }
+
+        parts.push({
+            arabic: (segment.arabic || '').trim(),
+            segmentId: segment.id, // recognized words, which can be corrected
+            marker: null,
+            transliteration: segment.transliteration || {},
+            translations: segment.translations || { en: segment.english || '' },
+            words: segment.words || untimedWords(segment.arabic || '', segment.start)
+        });
+    });
+
+    return parts;
+}
+
+/**
+ * A part's translation into one language ('' if there is none yet)
+ */
+function partTranslation(part, language) {
+    return (part.translations[language] || '').trim();
+}
+
+/**
+ * Build the Arabic text, each translation and the transliteration of the whole transcript
+ * from its segments
+ */
+function renderTranscript() {
+    const parts = transcriptParts();
+    const arabicParts = parts
+        .filter(part => part.arabic)
+        .map(part => (part.marker ? `${part.arabic} ${part.marker}` : part.arabic));
+
+    const translations = {};
+    translationLanguages.forEach(language => {
+        const text = parts.map(part => partTranslation(part, language)).filter(Boolean).join(' ');
+        translations[language] = truncateForDisplay(text);
+    });
+
+    const transliteration = transliterationScheme
+        ? parts.map(part => (part.transliteration[transliterationScheme] || '').trim()).filter(Boolean).join(' ')
+        : '';
+
+    return {
+        arabic: truncateForDisplay(arabicParts.join(' ')),
+        wordMarks: arabicWordMarks(parts),
+        translations,
+        transliteration: truncateForDisplay(transliteration)
+    };
+}
+
+/**
+ * Whether the recognizer was unsure of a recognized word
+ */
+function isUncertain(word) {
+    return typeof word.confidence === 'number' && word.confidence < LOW_CONFIDENCE_THRESHOLD;
+}
+
+/**
+ * One entry per Arabic word of the transcript text: { segmentId, index, uncertain, correctable }
+ * for a recognized word, null for the canonical text of a verse or dhikr. A correctable word
+ * has other words it may have been, or was corrected already.
+ */
+function arabicWordMarks(parts) {
+    return parts.filter(part => part.arabic).flatMap(part => {
+        const words = part.arabic.split(/\s+/).filter(word => ARABIC_LETTER.test(word));
+        const recognized = part.segmentId !== undefined && part.words.length === words.length;
+        return words.map((word, index) => (recognized
+            ? {
+                segmentId: part.segmentId,
+                index,
+                uncertain: isUncertain(part.words[index]),
+                correctable: Boolean(part.words[index].corrected || (part.words[index].alternatives || []).length > 0)
+            }
+            : null));
+    });
+}
+
+/**
+ * Show new text in a transcription box, with a short highlight. `render` builds the content
+ * from the text when it is more than plain text, and `renderKey` changes when the same text
+ * would be rendered differently.
+ */
+function setBoxText(element, text, placeholder, render = null, renderKey = '') {
+    if (text === element.textContent && (!render || element.dataset.renderKey === renderKey)) return;
+
+    if (text && render) {
+        element.textContent = '';
+        element.appendChild(render(text));
+        element.dataset.renderKey = renderKey;
+    } else {
+        element.textContent = text || placeholder;
     }
+    element.classList.add('updating');
 
-    if (englishText && englishText.trim()) {
-        // Same logic for English translation
-        const cleanEnglish = englishText.trim();
-        if (transcriptionBuffer.english.trim()) {
-            const lastChar = transcriptionBuffer.english.trim().slice(-1);
-            const needsSpace = lastChar && ![' ', '\n'].includes(lastChar);
-            transcriptionBuffer.english += (needsSpace ? ' ' : '') + cleanEnglish;
-        } else {
-            transcriptionBuffer.english = cleanEnglish;
+    setTimeout(() => {
+        element.classList.remove('updating');
+    }, 300);
+}
+
+/**
+ * Update transcription display from the current segments
+ */
+function updateTranscriptionDisplay() {
+    const { arabic: arabicText, wordMarks, translations, transliteration } = renderTranscript();
+
+    const marksKey = wordMarks.map(mark => (mark ? `${mark.segmentId}:${mark.index}${mark.uncertain ? '?' : ''}` : '')).join(',');
+    setBoxText(arabicTranscription, arabicText, PLACEHOLDERS.arabic, text => arabicWords(text, wordMarks), marksKey);
+    if (transliterationScheme) {
+        setBoxText(transliterationTranscription, transliteration, PLACEHOLDERS.transliteration);
+    }
+
+    // Main translation box, then one box per additional language
+    translationLanguages.forEach((language, index) => {
+        const element = index === 0 ? translationTranscription : document.getElementById(`translation-${language}`);
+        if (element) {
+            setBoxText(element, translations[language], PLACEHOLDERS.translation);
         }
+    });
+
+    syncFullscreenText();
+}
 
-        // Keep same length limit for English
-        const maxPrayerLength = 2000;
-        if (transcriptionBuffer.english.length > maxPrayerLength) {
-            transcriptionBuffer.english = '...' + transcriptionBuffer.english.slice(-1500);
+/**
+ * Arabic text with each word in its own element, so it can be tapped for its meaning.
+ * Spacing is kept as it was, so the element's text stays the same. `marks` (from
+ * arabicWordMarks) belong to the words of the whole transcript, so the text's last word takes
+ * the last mark even when the start of the transcript was cut off.
+ */
+function arabicWords(text, marks = []) {
+    const pieces = text.split(/(\s+)/);
+    let mark = marks.length - pieces.filter(piece => ARABIC_LETTER.test(piece)).length;
+
+    const fragment = document.createDocumentFragment();
+    pieces.forEach(piece => {
+        if (!ARABIC_LETTER.test(piece)) {
+            // Spaces, ayah markers and the ... of a shortened transcript
+            fragment.appendChild(document.createTextNode(piece));
+            return;
         }
+        const span = document.createElement('span');
+        span.className = 'arabic-word';
+        span.textContent = piece;
+        markRecognizedWord(span, marks[mark++]);
+        markKnownWord(span);
+        fragment.appendChild(span);
+    });
+    return fragment;
+}
+
+/**
+ * Tie a word's element to the recognized word it shows, and mark it when the recognizer was unsure
+ */
+function markRecognizedWord(element, mark) {
+    if (!mark) return;
+    element.dataset.segment = mark.segmentId;
+    element.dataset.index = mark.index;
+    if (mark.correctable) {
+        element.classList.add('correctable');
     }
+    if (mark.uncertain) {
+        element.classList.add('uncertain');
+        element.title = 'The recognizer was unsure of this word - tap to check it';
+    }
+}
 
-    // Update display
+/**
+ * Offer a word to tap for its meaning when the lexicon lists it, asking the server first when
+ * that isn't known yet
+ */
+function markKnownWord(element) {
+    const word = element.textContent;
+    if (knownWords.has(word)) {
+        element.classList.toggle('in-lexicon', knownWords.get(word));
+        return;
+    }
+    uncheckedWords.add(word);
+    if (!knownWordsCheck) knownWordsCheck = setTimeout(checkKnownWords, 0);
+}
+
+/**
+ * Ask which of the words shown so far the lexicon lists, and mark them wherever they are shown
+ */
+async function checkKnownWords() {
+    const words = [...uncheckedWords].slice(0, MAX_WORDS_PER_CHECK);
+    words.forEach(word => uncheckedWords.delete(word));
+    try {
+        const response = await fetch(apiUrl(`/api/lexicon?words=${words.map(encodeURIComponent).join(',')}`));
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const { known } = await response.json();
+        words.forEach(word => knownWords.set(word, known.includes(word)));
+        document.querySelectorAll('.arabic-word').forEach(element => {
+            if (words.includes(element.textContent)) element.classList.toggle('in-lexicon', knownWords.get(element.textContent));
+        });
+    } catch (error) {
+        // Asked again when the words are next shown
+        console.error('Error checking words against the lexicon:', error);
+    }
+    knownWordsCheck = uncheckedWords.size > 0 ? setTimeout(checkKnownWords, 0) : null;
+}
+
+/**
+ * Comparison key of an Arabic word, as the server's matchKey (lib/arabic.js): no vowel or
+ * Quranic marks, one spelling of each letter variant, long-vowel alefs after the first letter
+ * left out
+ */
+function wordKey(word) {
+    const normalized = word
+        .replace(/[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g, '')
+        .replace(/[\u0671\u0623\u0625\u0622]/g, '\u0627')
+        .replace(/[\u0649\u0626]/g, '\u064A')
+        .replace(/\u0629/g, '\u0647')
+        .replace(/\u0624/g, '\u0648')
+        .replace(/[^\u0621-\u064A]/g, '');
+    return normalized.charAt(0) + normalized.slice(1).replace(/\u0627/g, '');
+}
+
+/**
+ * When a word was heard in this transcript: the start time of each occurrence (null if untimed)
+ */
+function wordOccurrences(word) {
+    const key = wordKey(word);
+    return transcriptParts()
+        .flatMap(part => part.words)
+        .filter(timed => wordKey(timed.word) === key)
+        .map(timed => timed.start);
+}
+
+/**
+ * Open the popover for a tapped word: what the lexicon says about it, where else it comes in
+ * the session and, for a recognized word (`recognized`, from recognizedWord), how sure the
+ * recognizer was of it
+ */
+async function showWordDetails(word, recognized = null) {
+    const details = document.getElementById('wordPopoverDetails');
+    document.getElementById('wordPopoverWord').textContent = word;
+    details.textContent = 'Looking up...';
+    tappedWord = word;
+    wordPopover.classList.remove('hidden');
+
+    const times = wordOccurrences(word);
+    const timed = times.filter(start => start !== null).slice(0, MAX_OCCURRENCE_TIMES).map(formatDuration);
+    const heard = times.length === 1 ? 'Heard once in this session' : `Heard ${times.length} times in this session`;
+    document.getElementById('wordPopoverOccurrences').textContent = times.length === 0 ? '' :
+        timed.length > 0 ? `${heard}: ${timed.join(', ')}${times.length > timed.length ? '...' : ''}` : heard;
+    showHeardWord(recognized);
+
+    let found;
+    const language = translationLanguages[0];
+    const lookup = `${language} ${word}`;
+    try {
+        if (!wordLookups.has(lookup)) {
+            const response = await fetch(apiUrl(`/api/lexicon/${encodeURIComponent(word)}?language=${language}`));
+            if (!response.ok && response.status !== 404) throw new Error(`HTTP ${response.status}`);
+            wordLookups.set(lookup, response.ok ? await response.json() : null);
+        }
+        found = wordLookups.get(lookup);
+    } catch (error) {
+        console.error('Error looking up word:', error);
+        if (tappedWord === word) details.textContent = 'Could not look up this word';
+        return;
+    }
+    // Another word may have been tapped while this one was looked up
+    if (tappedWord !== word) return;
+
+    details.textContent = '';
+    if (!found) {
+        details.textContent = 'This word is not in the dictionary yet';
+        return;
+    }
+    found.entries.forEach(entry => details.appendChild(wordEntry(entry, word)));
+}
+
+/**
+ * One lexicon entry for a tapped word: meaning in the first translation language (or
+ * English), part of speech, root and dictionary form, and the form it is listed under when
+ * the word was found without its prefixes
+ */
+function wordEntry(entry, word) {
+    const item = document.createElement('div');
+    item.className = 'word-entry';
+
+    const meaning = document.createElement('p');
+    meaning.className = 'word-meaning';
+    meaning.textContent = entry.meaning[translationLanguages[0]] || entry.meaning.en;
+
+    const grammar = document.createElement('p');
+    grammar.textContent = entry.morphology ? `${entry.pos} - ${entry.morphology}` : entry.pos;
+
+    const forms = document.createElement('p');
+    forms.className = 'word-forms';
+    forms.textContent = [
+        entry.root ? `Root: ${entry.root}` : 'No root',
+        `Dictionary form: ${entry.lemma}`,
+        ...(wordKey(entry.word) !== wordKey(word) ? [`Listed as: ${entry.word}`] : [])
+    ].join(' · ');
+
+    item.append(meaning, grammar, forms);
+    return item;
+}
+
+/**
+ * How sure the recognizer was of a tapped word and the other words it may have been, which
+ * correct the transcript when tapped (on the device that recorded or opened the session)
+ */
+function showHeardWord(recognized) {
+    const element = document.getElementById('wordPopoverHeard');
+    element.textContent = '';
+    const word = recognized && recognized.word;
+    const confidence = word && (typeof word.confidence === 'number' ? word.confidence : recognized.segment.confidence);
+    const alternatives = (word && word.alternatives) || [];
+    const known = word && (word.corrected || typeof confidence === 'number' || alternatives.length > 0);
+    element.classList.toggle('hidden', !known);
+    if (!known) return;
+
+    const note = document.createElement('p');
+    note.textContent = word.corrected ? 'You corrected this word' :
+        typeof confidence === 'number' ? `Recognized with ${Math.round(confidence * 100)}% confidence` : '';
+    element.appendChild(note);
+    if (alternatives.length === 0) return;
+
+    const canCorrect = Boolean(currentSessionId) && socket.connected && recognized.segment.isFinal &&
+        !document.body.classList.contains('listener-mode');
+    const choices = document.createElement('p');
+    choices.className = 'word-alternatives';
+    choices.append(canCorrect ? 'Or was it: ' : 'It may also have been: ');
+    alternatives.forEach(alternative => {
+        const choice = document.createElement(canCorrect ? 'button' : 'span');
+        choice.className = 'word-alternative';
+        choice.textContent = alternative;
+        choice.lang = 'ar';
+        if (canCorrect) {
+            choice.addEventListener('click', () => correctWord(recognized, alternative));
+        }
+        choices.appendChild(choice);
+    });
+    element.appendChild(choices);
+}
+
+/**
+ * Put one of the recognizer's alternatives in place of a word; the server saves it with the
+ * session and answers with word-corrected
+ */
+function correctWord(recognized, word) {
+    socket.emit('correct-word', { sessionId: currentSessionId, segmentId: recognized.segment.id, index: recognized.index, word });
+    hideWordDetails();
+    showStatus('Correcting the transcript...', 'info');
+}
+
+/**
+ * Ask the recognizer to expect a word that had to be corrected, from the next recording on.
+ * Returns whether it was added (not when it is there already or the hints are full).
+ */
+function learnPhraseHint(word) {
+    if (settings.phraseHints.includes(word) || settings.phraseHints.length >= recognitionChoices.maxPhraseHints) {
+        return false;
+    }
+    settings.phraseHints = [...settings.phraseHints, word];
+    saveSettings();
+    document.getElementById('settingsHints').value = settings.phraseHints.join('\n');
+    return true;
+}
+
+function hideWordDetails() {
+    wordPopover.classList.add('hidden');
+    tappedWord = null;
+}
+
+/**
+ * Whether a word's element has anything to show when tapped: a lexicon entry, or (for a
+ * recognized word) how unsure the recognizer was and what else it may have been
+ */
+function isTappable(element) {
+    return ['in-lexicon', 'uncertain', 'correctable'].some(name => element.classList.contains(name));
+}
+
+/**
+ * Click on transcript text: a tapped word opens its details, instead of anything the box or
+ * view does on a click
+ */
+function tapWord(event) {
+    const word = event.target.closest('.arabic-word');
+    if (!word || !isTappable(word)) return;
+    event.stopPropagation();
+    showWordDetails(word.textContent, recognizedWord(word));
+}
+
+/**
+ * The recognized word a word's element shows: { segment, index, word }, or null for the
+ * canonical text of a verse or dhikr
+ */
+function recognizedWord(element) {
+    const index = Number(element.dataset.index);
+    const segment = segments.get(Number(element.dataset.segment));
+    const word = segment && segment.words && segment.words[index];
+    return word ? { segment, index, word } : null;
+}
+
+/**
+ * Catalogue entry for a language code
+ */
+function languageInfo(code) {
+    return availableLanguages.find(language => language.code === code) ||
+        { code, name: code, nativeName: code, dir: 'ltr' };
+}
+
+function loadLanguagePreference() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('translationLanguages'));
+        if (Array.isArray(saved) && saved.length > 0) return saved;
+    } catch (error) {
+        // Ignore a corrupt preference
+    }
+    return ['en'];
+}
+
+function loadSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('settings'));
+        if (saved && typeof saved === 'object') return { ...DEFAULT_SETTINGS, ...saved };
+    } catch (error) {
+        // Ignore corrupt settings
+    }
+    return { ...DEFAULT_SETTINGS };
+}
+
+function saveSettings() {
+    localStorage.setItem('settings', JSON.stringify(settings));
+}
+
+/**
+ * The recognition settings that go with start-recording and uploads (the server checks them)
+ */
+function recognitionOptions() {
+    const options = {};
+    if (settings.locale) options.locale = settings.locale;
+    if (settings.model) options.model = settings.model;
+    if (settings.phraseHints.length > 0) options.phraseHints = settings.phraseHints;
+    return options;
+}
+
+/**
+ * Text size, Arabic font and theme
+ */
+function applyDisplaySettings() {
+    const root = document.documentElement.style;
+    root.setProperty('--text-scale', TEXT_SCALES[settings.fontSize] || 1);
+
+    if (ARABIC_FONTS.includes(settings.arabicFont)) {
+        loadArabicFont(settings.arabicFont);
+        root.setProperty('--arabic-font', `'${settings.arabicFont}', serif`);
+    } else {
+        root.removeProperty('--arabic-font');
+    }
+
+    THEMES.forEach(theme => document.body.classList.toggle(`theme-${theme}`, settings.theme === theme));
+}
+
+/**
+ * Add a web font's stylesheet once (without a connection the system font is used)
+ */
+function loadArabicFont(family) {
+    const id = `font-${family.replace(/ /g, '-')}`;
+    if (document.getElementById(id)) return;
+    const link = document.createElement('link');
+    link.id = id;
+    link.rel = 'stylesheet';
+    link.href = `https://fonts.googleapis.com/css2?family=${family.replace(/ /g, '+')}&display=swap`;
+    document.head.appendChild(link);
+}
+
+/**
+ * Fetch the recognition locales and models the server offers and fill in the settings panel
+ */
+async function loadRecognitionChoices() {
+    try {
+        const response = await fetch(apiUrl('/api/recognition'));
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        recognitionChoices = await response.json();
+    } catch (error) {
+        console.error('Error loading recognition settings:', error);
+        return;
+    }
+
+    // Forget choices the server no longer offers, so recordings aren't refused for them
+    if (!recognitionChoices.locales.some(locale => locale.code === settings.locale)) settings.locale = '';
+    if (!recognitionChoices.models.some(model => model.code === settings.model)) settings.model = '';
+    saveSettings();
+
+    fillChoices(document.getElementById('settingsLocale'), recognitionChoices.locales, recognitionChoices.defaultLocale, settings.locale);
+    fillChoices(document.getElementById('settingsModel'), recognitionChoices.models, recognitionChoices.defaultModel, settings.model);
+    const chooseModel = recognitionChoices.models.length > 1;
+    document.getElementById('settingsModel').classList.toggle('hidden', !chooseModel);
+    document.getElementById('settingsModelLabel').classList.toggle('hidden', !chooseModel);
+}
+
+function fillChoices(select, choices, defaultCode, selected) {
+    const defaultChoice = choices.find(choice => choice.code === defaultCode);
+    select.textContent = '';
+    select.appendChild(new Option(`Server default${defaultChoice ? ` (${defaultChoice.name})` : ''}`, ''));
+    choices
+        .filter(choice => choice.code !== defaultCode)
+        .forEach(choice => select.appendChild(new Option(choice.name, choice.code)));
+    select.value = selected;
+}
+
+/**
+ * Phrase hints from the settings box: one per line, within the server's limits
+ */
+function setPhraseHints(text) {
+    const { maxPhraseHints, maxPhraseLength } = recognitionChoices;
+    let hints = [...new Set(text.split('\n').map(line => line.trim()).filter(Boolean))];
+    if (hints.some(hint => hint.length > maxPhraseLength)) {
+        showStatus(`Phrases can be at most ${maxPhraseLength} characters; longer ones were shortened`, 'error');
+        hints = hints.map(hint => hint.slice(0, maxPhraseLength).trim());
+    }
+    if (hints.length > maxPhraseHints) {
+        showStatus(`Only the first ${maxPhraseHints} phrases are used`, 'error');
+        hints = hints.slice(0, maxPhraseHints);
+    }
+    settings.phraseHints = hints;
+    saveSettings();
+}
+
+/**
+ * Label the main translation box and create (or remove) a box per additional language
+ */
+function renderTranslationBoxes() {
+    const primary = languageInfo(translationLanguages[0]);
+    document.getElementById('translationLabel').textContent = `Translation (${primary.name})`;
+    translationTranscription.dir = primary.dir;
+    translationTranscription.textContent = PLACEHOLDERS.translation;
+
+    document.querySelectorAll('.extra-translation').forEach(box => box.remove());
+    let previous = document.getElementById('translationBox');
+    translationLanguages.slice(1).forEach(code => {
+        const language = languageInfo(code);
+        const box = document.createElement('div');
+        box.className = 'transcription-box extra-translation';
+
+        const label = document.createElement('label');
+        label.htmlFor = `translation-${code}`;
+        label.textContent = `Translation (${language.name})`;
+
+        const content = document.createElement('div');
+        content.id = `translation-${code}`;
+        content.className = 'transcription-content';
+        content.dir = language.dir;
+        content.lang = code;
+        content.textContent = PLACEHOLDERS.translation;
+
+        box.append(label, content);
+        previous.after(box);
+        previous = box;
+    });
+}
+
+/**
+ * Checkboxes for the languages the server offers
+ */
+function renderLanguagePicker() {
+    const options = document.getElementById('languageOptions');
+    options.textContent = '';
+
+    availableLanguages.forEach(language => {
+        const option = document.createElement('label');
+        option.className = 'language-option';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = language.code;
+        checkbox.checked = translationLanguages.includes(language.code);
+        checkbox.addEventListener('change', () => toggleLanguage(language.code, checkbox));
+
+        option.append(checkbox, language.nativeName);
+        options.appendChild(option);
+    });
+}
+
+/**
+ * Add or remove a translation language; the server translates into the new set from now
+ * on (and fills in what is already on screen)
+ */
+function toggleLanguage(code, checkbox) {
+    if (checkbox.checked) {
+        translationLanguages.push(code);
+    } else if (translationLanguages.length > 1) {
+        translationLanguages = translationLanguages.filter(language => language !== code);
+    } else {
+        checkbox.checked = true; // keep at least one
+        return;
+    }
+
+    localStorage.setItem('translationLanguages', JSON.stringify(translationLanguages));
+    socket.emit('set-languages', translationLanguages);
+    renderTranslationBoxes();
     updateTranscriptionDisplay();
 }
 
 /**
- * Update transcription display with smart buffering
+ * Show the transliteration box in a scheme, or hide it ('')
  */
-function updateTranscriptionDisplay() {
-    const arabicText = transcriptionBuffer.arabic.trim();
-    const englishText = transcriptionBuffer.english.trim();
+function setTransliterationScheme(scheme) {
+    transliterationScheme = TRANSLITERATION_SCHEMES[scheme] ? scheme : '';
+    localStorage.setItem('transliterationScheme', transliterationScheme);
 
-    // Update Arabic
-    if (arabicText !== arabicTranscription.textContent) {
-        arabicTranscription.textContent = arabicText || 'Waiting for speech...';
-        arabicTranscription.classList.add('updating');
+    document.getElementById('transliterationBox').classList.toggle('hidden', !transliterationScheme);
+    document.getElementById('transliterationLabel').textContent =
+        `Transliteration (${TRANSLITERATION_SCHEMES[transliterationScheme] || 'off'})`;
+    transliterationTranscription.textContent = PLACEHOLDERS.transliteration;
 
-        setTimeout(() => {
-            arabicTranscription.classList.remove('updating');
-        }, 300);
+    if (!transliterationScheme && individualFullscreenType === 'transliteration') {
+        exitIndividualFullscreen();
     }
+    updateTranscriptionDisplay();
+}
 
-    // Update English
-    if (englishText !== englishTranscription.textContent) {
-        englishTranscription.textContent = englishText || 'Waiting for translation...';
-        englishTranscription.classList.add('updating');
+/**
+ * Fetch the languages the server can translate into
+ */
+async function loadLanguages() {
+    try {
+        const response = await fetch(apiUrl('/api/languages'));
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const { languages } = await response.json();
+        if (languages.length > 0) {
+            availableLanguages = languages;
+        }
+    } catch (error) {
+        console.error('Error loading translation languages:', error);
+    }
 
-        setTimeout(() => {
-            englishTranscription.classList.remove('updating');
-        }, 300);
+    const offered = availableLanguages.map(language => language.code);
+    translationLanguages = translationLanguages.filter(code => offered.includes(code));
+    if (translationLanguages.length === 0) {
+        translationLanguages = [offered[0]];
     }
+
+    renderLanguagePicker();
+    renderTranslationBoxes();
+    updateTranscriptionDisplay();
 }
 
 /**
- * Update transcription display (now uses cumulative prayer transcription)
+ * Apply a segment update: new segments are added, known ones revised in place
  */
-function updateTranscription(data) {
-    // Use cumulative transcription for continuous prayer building
-    manageCumulativeTranscription(data.arabic, data.english);
+function updateTranscription(segment) {
+    if (segment.isFinal && !segment.arabic) {
+        // The recognizer withdrew this segment
+        segments.delete(segment.id);
+    } else {
+        segments.set(segment.id, segment);
+    }
+
+    updateTranscriptionDisplay();
 }
 
 /**
- * Clear transcription display and reset buffers
+ * Replace the whole transcript with the server's settled version
  */
-function clearTranscriptions() {
-    // Clear legacy variables
-    currentArabicText = '';
-    currentEnglishText = '';
+function reconcileTranscript(snapshot) {
+    segments = new Map(snapshot.segments.map(segment => [segment.id, segment]));
+    updateTranscriptionDisplay();
+}
 
-    // Clear compact streaming buffer
-    transcriptionBuffer.arabic = '';
-    transcriptionBuffer.english = '';
-    transcriptionBuffer.lastUpdate = 0;
+/**
+ * Clear transcription display and reset segments
+ */
+function clearTranscriptions() {
+    segments = new Map();
+    showPrayerState(null);
 
     // Update display
     updateTranscriptionDisplay();
@@ -179,7 +959,7 @@ async function startRecording() {
         mediaRecorder.onstart = () => {
             isRecording = true;
             console.log('Recording started');
-            showStatus('Recording... Speak into your microphone', 'success');
+            showStatus(offlineRecording ? OFFLINE_RECORDING_STATUS : 'Recording... Speak into your microphone', 'success');
         };
 
         mediaRecorder.onstop = () => {
@@ -193,159 +973,998 @@ async function startRecording() {
                 audioStream = null;
             }
 
-            // Process remaining chunks if any
-            if (chunks.length > 0) {
-                const blob = new Blob(chunks, { type: 'audio/webm' });
-                sendAudioChunk(blob);
-                chunks = [];
-            }
-        };
+            if (offlineRecording) {
+                offlineRecording = false;
+                saveOfflineRecording(offlineChunks);
+                offlineChunks = [];
+                return;
+            }
+
+            // Tell the server once the last chunk has gone out, so it can flush the stream
+            // (once it has resumed the recording, if the connection is down)
+            sendQueue.then(() => {
+                if (reconnecting) {
+                    stopWhenResumed = true;
+                } else {
+                    socket.emit('stop-recording');
+                }
+            });
+        };
+
+        mediaRecorder.onerror = (event) => {
+            console.error('MediaRecorder error:', event);
+            showStatus('Recording error: ' + event.error.message, 'error');
+            stopRecording();
+        };
+
+        // Start recording with small time slices for real-time processing
+        mediaRecorder.start(500); // Collect data every 500ms
+
+        console.log('Recording started successfully');
+        showStatus(offlineRecording ? OFFLINE_RECORDING_STATUS : 'Recording... Speak Arabic into your microphone', 'success');
+
+    } catch (error) {
+        console.error('Error starting recording:', error);
+        showStatus('Failed to access microphone. Please allow microphone access and try again.', 'error');
+    }
+}
+
+/**
+ * Handle audio data chunks
+ */
+function handleAudioChunk(event) {
+    if (event.data.size > 0) {
+        if (offlineRecording) {
+            // Kept whole, to be uploaded as one file
+            offlineChunks.push(event.data);
+        } else {
+            // Send audio chunk immediately for real-time processing
+            sendAudioChunk(event.data);
+        }
+    }
+}
+
+/**
+ * Send audio chunk to server
+ */
+function sendAudioChunk(audioData) {
+    // The server decodes one continuous stream, so chunks must arrive in order even though
+    // reading each Blob is asynchronous
+    sendQueue = sendQueue
+        .then(() => audioData.arrayBuffer())
+        .then((arrayBuffer) => {
+            const chunk = { seq: nextChunkSeq++, data: new Uint8Array(arrayBuffer) };
+            recentChunks.push(chunk);
+            if (recentChunks.length > MAX_KEPT_CHUNKS) recentChunks.shift();
+            if (socket.connected && !reconnecting) {
+                socket.emit('audio-chunk', chunk.data, chunk.seq);
+            }
+        })
+        .catch(error => console.error('Failed to send audio chunk:', error));
+}
+
+/**
+ * Stop audio recording
+ */
+function stopRecording() {
+    if (mediaRecorder && isRecording) {
+        mediaRecorder.stop(); // onstop sends stop-recording after the final chunk
+        mediaRecorder = null;
+
+        // Stop all audio tracks
+        if (audioStream) {
+            audioStream.getTracks().forEach(track => track.stop());
+            audioStream = null;
+        }
+    }
+}
+
+/**
+ * Toggle recording state. `options` go with start-recording, e.g. { practice }.
+ */
+function toggleRecording(options = {}) {
+    if (!isRecording) {
+        // Start recording
+        clearTranscriptions();
+        resumable = null;
+        nextChunkSeq = 0;
+        recentChunks = [];
+        updateButtonState('recording');
+        // Without a connection the recording is kept on the device (when it can store it)
+        offlineRecording = !socket.connected && Boolean(window.indexedDB);
+        offlineChunks = [];
+        if (!offlineRecording) {
+            socket.emit('start-recording', { languages: translationLanguages, tashkeel: restoreTashkeel, prayer: selectedPrayer || null, ...recognitionOptions(), ...options });
+        }
+        startRecording().catch(error => {
+            console.error('Failed to start recording:', error);
+            updateButtonState('idle');
+        });
+    } else {
+        // Stop recording
+        updateButtonState('stopped');
+        stopRecording();
+    }
+}
+
+/**
+ * Show whether speech is being heard ({ speaking }), or hide the indicator (null)
+ */
+function showVoiceActivity(activity) {
+    voiceIndicator.classList.toggle('hidden', !activity);
+    if (!activity) return;
+    voiceIndicator.classList.toggle('speaking', activity.speaking);
+    voiceIndicator.textContent = activity.speaking
+        ? '🟢 Listening - speech heard'
+        : '⏸️ Silence - nothing is being sent for transcription';
+}
+
+/**
+ * Show where the prayer is ({ rakah, rakat, position, complete } from prayer-state), or hide
+ * the strip (null). rakat is null while the number of rak'at isn't known.
+ */
+function showPrayerState(state) {
+    prayerStrip.classList.toggle('hidden', !state);
+    if (!state) return;
+    prayerStrip.classList.toggle('complete', state.complete);
+
+    const rakah = state.rakat ? `Rak'ah ${state.rakah} of ${state.rakat}` : `Rak'ah ${state.rakah}`;
+    document.getElementById('prayerProgress').textContent = state.complete
+        ? `✅ Prayer complete - ${state.rakah} rak'at`
+        : `🕌 ${rakah} - ${POSITION_NAMES[state.position] || state.position}`;
+
+    const pips = document.getElementById('prayerRakat');
+    pips.textContent = '';
+    for (let i = 1; i <= Math.max(state.rakat || 0, state.rakah); i++) {
+        const pip = document.createElement('span');
+        pip.className = 'prayer-pip';
+        if (i < state.rakah || state.complete) {
+            pip.classList.add('done');
+        } else if (i === state.rakah) {
+            pip.classList.add('current');
+        }
+        pips.appendChild(pip);
+    }
+}
+
+/**
+ * Update button visual state
+ */
+function updateButtonState(state) {
+    const button = recordButton;
+    button.classList.remove('recording', 'stopped');
+
+    switch (state) {
+        case 'recording':
+            buttonText.textContent = '⏹️ Stop Recording';
+            button.classList.add('recording');
+            break;
+        case 'stopped':
+            buttonText.textContent = '✅ Recording Stopped';
+            button.classList.add('stopped');
+            setTimeout(() => {
+                buttonText.textContent = '🎤 Start Recording';
+                button.classList.remove('stopped');
+            }, 2000);
+            break;
+        default:
+            buttonText.textContent = '🎤 Start Recording';
+            break;
+    }
+}
+
+/**
+ * Socket.IO event handlers
+ */
+socket.on('recording-started', ({ sessionId, resumeToken }) => {
+    console.log('Server confirmed recording started, session', sessionId);
+    resumable = { sessionId, resumeToken };
+    historyPanel.classList.add('hidden');
+    showExportControls(sessionId);
+});
+
+socket.on('recording-stopped', () => {
+    console.log('Server confirmed recording stopped');
+    showVoiceActivity(null);
+    resumable = null;
+    recentChunks = [];
+    updateButtonState('idle');
+});
+
+// Back after a lost connection: resend what the server missed, in order, before any new chunk
+socket.on('recording-resumed', ({ sessionId, lastSeq, room }) => {
+    console.log('Recording resumed, session', sessionId, 'server has chunks up to', lastSeq);
+    sendQueue = sendQueue.then(() => {
+        reconnecting = false;
+        recentChunks
+            .filter(chunk => chunk.seq > lastSeq)
+            .forEach(chunk => socket.emit('audio-chunk', chunk.data, chunk.seq));
+        if (stopWhenResumed) {
+            stopWhenResumed = false;
+            socket.emit('stop-recording');
+        }
+    });
+
+    if (room) {
+        showSharePanel(room.code);
+        updateListenerCount(room.listeners);
+    }
+    showStatus(isRecording ? 'Reconnected - recording continues' : 'Reconnected - finishing the recording', 'success');
+});
+
+socket.on('resume-failed', ({ message }) => {
+    showVoiceActivity(null);
+    reconnecting = false;
+    stopWhenResumed = false;
+    resumable = null;
+    recentChunks = [];
+    if (sharedRoomCode) {
+        sharedRoomCode = null;
+        sharePanel.classList.add('hidden');
+    }
+    showStatus(message, 'error');
+    stopRecording();
+    updateButtonState('idle');
+});
+
+socket.on('voice-activity', (activity) => {
+    showVoiceActivity(activity);
+});
+
+// Where the prayer being recorded (or followed) is; null when a new recording starts
+socket.on('prayer-state', (state) => {
+    showPrayerState(state);
+});
+
+socket.on('transcription-update', (data) => {
+    console.log('Received transcription update:', data);
+    updateTranscription(data);
+});
+
+// The recording is saved: keep a copy to read offline
+socket.on('processing-complete', ({ sessionId }) => {
+    keepOffline(sessionId);
+});
+
+// A word this device corrected: the segment as it now reads (if that session is still on
+// screen), and the word is expected in later recordings
+socket.on('word-corrected', ({ sessionId, segment, correction }) => {
+    if (sessionId === currentSessionId) {
+        updateTranscription(segment);
+    }
+    keepOffline(sessionId);
+    const learned = learnPhraseHint(correction.word);
+    showStatus(`Corrected to ${correction.word}${learned ? ' - it will be expected in your next recordings' : ''}`, 'success');
+});
+
+// A correction that couldn't be made: the transcript (and a recording in progress) carry on
+socket.on('correction-failed', ({ message }) => {
+    showStatus(message, 'error');
+});
+
+socket.on('transcript-snapshot', (snapshot) => {
+    console.log('Received transcript snapshot:', snapshot.segments.length, 'segments');
+    reconcileTranscript(snapshot);
+});
+
+socket.on('practice-result', (result) => {
+    console.log('Practice scored', result.passage.reference, result.score);
+    renderPracticeResult(result);
+    practicePanel.classList.remove('hidden');
+    loadPracticeHistory();
+});
+
+// A daily allowance or concurrent recording limit: the recording (if any) has been stopped
+socket.on('limit-reached', ({ message }) => {
+    console.warn('Usage limit reached:', message);
+    showStatus(message, 'error');
+    stopRecording();
+    updateButtonState('idle');
+});
+
+socket.on('access-denied', ({ message }) => {
+    showStatus(message, 'error');
+    stopRecording();
+    updateButtonState('idle');
+    accessPanel.classList.remove('hidden');
+});
+
+socket.on('connect_error', (error) => {
+    console.error('Connection refused:', error.message);
+    if (error.data && error.data.code === 'invalid-key') {
+        // Forget the bad key and connect without one (following a session still works)
+        setAccessKey('');
+        showStatus(error.message, 'error');
+        accessPanel.classList.remove('hidden');
+        socket.connect();
+    }
+});
+
+socket.on('error', (error) => {
+    console.error('Server error:', error);
+    showStatus('Server error: ' + error, 'error');
+    stopRecording();
+    updateButtonState('idle');
+});
+
+socket.on('connect', () => {
+    console.log('Connected to server');
+    showStatus('Connected to transcription service', 'success');
+    setTimeout(() => statusMessage.style.display = 'none', 2000);
+
+    // Languages are tied to the connection too
+    socket.emit('set-languages', translationLanguages);
+
+    if (reconnecting) {
+        socket.emit('resume-recording', resumable);
+    }
+
+    // Rooms are tied to the connection: listeners rejoin, a broadcaster has to share again
+    // (unless its recording is resumed, which keeps the room)
+    if (followedRoomCode) {
+        socket.emit('join-room', { code: followedRoomCode, languages: translationLanguages });
+    }
+    if (sharedRoomCode && !reconnecting) {
+        sharedRoomCode = null;
+        sharePanel.classList.add('hidden');
+    }
+
+    uploadPendingRecordings();
+});
+
+socket.on('room-created', ({ code, listeners }) => {
+    showSharePanel(code);
+    updateListenerCount(listeners);
+});
+
+socket.on('room-update', ({ listeners }) => {
+    updateListenerCount(listeners);
+});
+
+socket.on('room-joined', ({ code }) => {
+    enterListenerMode(code);
+    showStatus(`Following session ${code}`, 'success');
+});
+
+// A session that couldn't be shared or joined; a recording in progress carries on. Rejoining
+// after a reconnect fails when the session has ended meanwhile.
+socket.on('room-rejected', ({ code, message }) => {
+    if (code && code === followedRoomCode) {
+        exitListenerMode();
+    }
+    showStatus(message, 'error');
+});
+
+socket.on('room-closed', () => {
+    if (followedRoomCode) {
+        exitListenerMode();
+        showStatus('The shared session has ended', 'info');
+    }
+    if (sharedRoomCode) {
+        sharedRoomCode = null;
+        sharePanel.classList.add('hidden');
+    }
+});
+
+socket.on('disconnect', () => {
+    console.log('Disconnected from server');
+    if (resumable && (isRecording || reconnecting)) {
+        // Keep recording; the server holds the session open for a while
+        reconnecting = true;
+        showStatus('Connection lost. Still recording - the transcript will catch up once reconnected', 'error');
+        return;
+    }
+    showStatus('Disconnected from transcription service', 'error');
+    showVoiceActivity(null);
+    stopRecording();
+    updateButtonState('idle');
+});
+
+/**
+ * Remember the access key and reconnect with it
+ */
+function setAccessKey(key) {
+    accessKey = key.trim();
+    if (accessKey) {
+        localStorage.setItem('accessKey', accessKey);
+    } else {
+        localStorage.removeItem('accessKey');
+    }
+}
+
+/**
+ * Page address without query string, used for join links
+ */
+function pageUrl() {
+    return window.location.origin + window.location.pathname;
+}
+
+/**
+ * Show the code, QR and link others use to follow this device's recording
+ */
+function showSharePanel(code) {
+    sharedRoomCode = code;
+    joinPanel.classList.add('hidden');
+
+    document.getElementById('shareCode').textContent = code;
+    document.getElementById('shareLink').textContent = `${pageUrl()}?join=${code}`;
+    document.getElementById('shareQr').src = `${backendUrl}/api/rooms/${code}/qr?url=${encodeURIComponent(pageUrl())}`;
+    sharePanel.classList.remove('hidden');
+}
+
+function updateListenerCount(listeners) {
+    const label = listeners === 0 ? 'No one is following yet' :
+        listeners === 1 ? '1 person following' : `${listeners} people following`;
+    document.getElementById('listenerCount').textContent = label;
+}
+
+/**
+ * Read-only mode: hide recording controls and show whose session we follow
+ */
+function enterListenerMode(code) {
+    followedRoomCode = code;
+    document.body.classList.add('listener-mode');
+    joinPanel.classList.add('hidden');
+    document.getElementById('listenerCode').textContent = code;
+    listenerBanner.classList.remove('hidden');
+}
+
+function exitListenerMode() {
+    followedRoomCode = null;
+    showVoiceActivity(null);
+    document.body.classList.remove('listener-mode');
+    listenerBanner.classList.add('hidden');
+}
+
+function joinSession(code) {
+    const normalized = (code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (normalized.length !== 6) {
+        showStatus('Session codes have 6 letters and numbers', 'error');
+        return;
+    }
+    clearTranscriptions();
+    socket.emit('join-room', { code: normalized, languages: translationLanguages });
+}
+
+// Shared session controls
+shareSessionButton.addEventListener('click', () => {
+    socket.emit('create-room');
+});
+
+joinSessionButton.addEventListener('click', () => {
+    joinPanel.classList.toggle('hidden');
+    if (!joinPanel.classList.contains('hidden')) {
+        joinCodeInput.focus();
+    }
+});
+
+document.getElementById('joinCodeSubmit').addEventListener('click', () => {
+    joinSession(joinCodeInput.value);
+});
+
+joinCodeInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        joinSession(joinCodeInput.value);
+    }
+});
+
+document.getElementById('stopSharingButton').addEventListener('click', () => {
+    socket.emit('close-room');
+});
+
+document.getElementById('leaveSessionButton').addEventListener('click', () => {
+    socket.emit('leave-room');
+    exitListenerMode();
+    showStatus('Left the shared session', 'info');
+});
+
+/**
+ * Format a duration in seconds as m:ss
+ */
+function formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(Math.round(seconds % 60)).padStart(2, '0')}`;
+}
+
+/**
+ * Fetch saved sessions and list them in the history panel
+ */
+async function loadHistory() {
+    historyList.textContent = '';
+    try {
+        const response = await fetch(apiUrl('/api/sessions'));
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const { sessions } = await response.json();
+
+        if (sessions.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = 'No saved sessions yet';
+            historyList.appendChild(empty);
+            return;
+        }
+        sessions.forEach(session => historyList.appendChild(historyItem(session)));
+    } catch (error) {
+        console.error('Error loading history:', error);
+        showStatus('Could not load past sessions', 'error');
+    }
+}
+
+function historyItem(session) {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+
+    const details = document.createElement('div');
+    details.className = 'history-details';
+    const date = document.createElement('div');
+    date.className = 'history-date';
+    date.textContent = `${new Date(session.startedAt).toLocaleString()} · ${formatDuration(session.duration || 0)}`;
+    if (session.practice) {
+        date.textContent += ` · 🎯 ${session.practice.reference} ${session.practice.score}%`;
+    }
+    const preview = document.createElement('div');
+    preview.className = 'history-preview';
+    preview.textContent = session.preview || '(no speech recognized)';
+    details.append(date, preview);
+
+    const openButton = document.createElement('button');
+    openButton.className = 'session-button';
+    openButton.textContent = 'Open';
+    openButton.addEventListener('click', () => openSession(session.id));
+
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'session-button';
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', () => deleteSession(session.id));
+
+    item.append(details, openButton, deleteButton);
+    return item;
+}
+
+/**
+ * Show a saved session's transcript in place of the live one
+ */
+async function openSession(id) {
+    if (isRecording) {
+        showStatus('Stop recording before opening a past session', 'error');
+        return;
+    }
+    try {
+        const response = await fetch(apiUrl(`/api/sessions/${id}`));
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const session = await response.json();
+        reconcileTranscript(session);
+        showExportControls(session.id);
+        // Where the prayer got to when the recording ended
+        const timeline = session.prayer ? session.prayer.timeline : [];
+        const last = timeline[timeline.length - 1];
+        showPrayerState(last ? { ...last, rakat: session.prayer.rakat, complete: session.prayer.complete } : null);
+        if (session.practice) {
+            renderPracticeResult(session.practice);
+        }
+        showStatus(`Showing session from ${new Date(session.startedAt).toLocaleString()}`, 'info');
+    } catch (error) {
+        console.error('Error opening session:', error);
+        showStatus('Could not open this session', 'error');
+    }
+}
+
+async function deleteSession(id) {
+    if (!confirm('Delete this session?')) return;
+    try {
+        const response = await fetch(apiUrl(`/api/sessions/${id}`), { method: 'DELETE' });
+        if (response.status === 409) {
+            showStatus((await response.json()).error, 'error');
+            return;
+        }
+        if (!response.ok && response.status !== 404) throw new Error(`HTTP ${response.status}`);
+        if (id === currentSessionId) showExportControls(null);
+        loadHistory();
+    } catch (error) {
+        console.error('Error deleting session:', error);
+        showStatus('Could not delete this session', 'error');
+    }
+}
+
+/**
+ * Fill the practice passage picker from the server's surah list (once)
+ */
+async function loadSurahs() {
+    if (surahs.length > 0) return;
+    try {
+        const response = await fetch(apiUrl('/api/quran/surahs'));
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        ({ surahs } = await response.json());
+
+        surahs.forEach(surah => {
+            const option = document.createElement('option');
+            option.value = surah.number;
+            option.textContent = `${surah.number}. ${surah.transliteration} (${surah.name})`;
+            practiceSurah.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Error loading surahs:', error);
+        showStatus('Could not load the list of surahs', 'error');
+    }
+}
+
+/**
+ * Keep the ayah range inputs within the chosen surah
+ */
+function updateAyahRange() {
+    const surah = surahs.find(entry => String(entry.number) === practiceSurah.value);
+    [practiceAyahStart, practiceAyahEnd].forEach((input) => {
+        input.disabled = !surah;
+        input.max = surah ? surah.ayahCount : '';
+        if (!surah) input.value = '';
+    });
+}
 
-        mediaRecorder.onerror = (event) => {
-            console.error('MediaRecorder error:', event);
-            showStatus('Recording error: ' + event.error.message, 'error');
-            stopRecording();
-        };
+/**
+ * Record a practice attempt at the chosen passage (or one the server detects)
+ */
+function startPractice() {
+    if (isRecording) {
+        showStatus('Stop recording before starting a practice attempt', 'error');
+        return;
+    }
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        showStatus('Your browser does not support audio recording. Please use a modern browser like Chrome or Firefox.', 'error');
+        return;
+    }
 
-        // Start recording with small time slices for real-time processing
-        mediaRecorder.start(500); // Collect data every 500ms
+    const practice = practiceSurah.value
+        ? {
+            surah: Number(practiceSurah.value),
+            ayahStart: Number(practiceAyahStart.value) || null,
+            ayahEnd: Number(practiceAyahEnd.value) || null
+        }
+        : {};
+    practiceResult.classList.add('hidden');
+    toggleRecording({ practice });
+    showStatus('Recite the passage, then stop recording to see how it went', 'info');
+}
 
-        console.log('Recording started successfully');
-        showStatus('Recording... Speak Arabic into your microphone', 'success');
+/**
+ * Show a practice attempt's score and its words marked correct, mispronounced, missed or added
+ */
+function renderPracticeResult(result) {
+    const { passage, counts } = result;
+    document.getElementById('practiceScore').textContent =
+        `${passage.surahTransliteration} ${passage.reference}: ${result.score}%`;
+    document.getElementById('practiceCounts').textContent = PRACTICE_STATUSES
+        .map(status => `${counts[status]} ${status}`)
+        .join(' · ');
+
+    const container = document.getElementById('practiceWords');
+    container.textContent = '';
+    result.words.forEach((entry) => {
+        const word = document.createElement('span');
+        word.className = `practice-word ${entry.status}`;
+        word.textContent = entry.word;
+        word.title = entry.status === 'mispronounced'
+            ? `Heard as ${entry.heard} (ayah ${entry.ayah})`
+            : `${entry.status} (ayah ${entry.ayah})`;
+        container.appendChild(word);
+
+        if (entry.status === 'mispronounced') {
+            const heard = document.createElement('span');
+            heard.className = 'practice-heard';
+            heard.textContent = `(${entry.heard})`;
+            container.appendChild(heard);
+        }
+        container.appendChild(document.createTextNode(' '));
+    });
+    practiceResult.classList.remove('hidden');
+}
 
+/**
+ * List past practice attempts, only those at the chosen surah when one is chosen
+ */
+async function loadPracticeHistory() {
+    practiceHistory.textContent = '';
+    try {
+        const response = await fetch(apiUrl('/api/sessions'));
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const { sessions } = await response.json();
+
+        const attempts = sessions.filter(session => session.practice &&
+            (!practiceSurah.value || String(session.practice.surah) === practiceSurah.value));
+        if (attempts.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = 'No practice attempts yet';
+            practiceHistory.appendChild(empty);
+            return;
+        }
+        attempts.forEach(session => practiceHistory.appendChild(practiceAttemptItem(session)));
     } catch (error) {
-        console.error('Error starting recording:', error);
-        showStatus('Failed to access microphone. Please allow microphone access and try again.', 'error');
+        console.error('Error loading practice attempts:', error);
+        showStatus('Could not load past practice attempts', 'error');
     }
 }
 
+function practiceAttemptItem(session) {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+
+    const details = document.createElement('div');
+    details.className = 'history-details';
+    const date = document.createElement('div');
+    date.className = 'history-date';
+    date.textContent = `${session.practice.surahTransliteration} ${session.practice.reference} · ${session.practice.score}%`;
+    const when = document.createElement('div');
+    when.textContent = new Date(session.startedAt).toLocaleString();
+    details.append(date, when);
+
+    const openButton = document.createElement('button');
+    openButton.className = 'session-button';
+    openButton.textContent = 'Open';
+    openButton.addEventListener('click', () => openSession(session.id));
+
+    item.append(details, openButton);
+    return item;
+}
+
 /**
- * Handle audio data chunks
+ * Offer exports of the session on screen (hidden when there is none)
  */
-function handleAudioChunk(event) {
-    if (event.data.size > 0) {
-        chunks.push(event.data);
-
-        // Send audio chunk immediately for real-time processing
-        sendAudioChunk(event.data);
-    }
+function showExportControls(sessionId) {
+    currentSessionId = sessionId;
+    exportControls.classList.toggle('hidden', !sessionId);
 }
 
 /**
- * Send audio chunk to server
+ * Open the printable page in a new tab; other formats download
  */
-function sendAudioChunk(audioData) {
-    // Convert Blob to ArrayBuffer, then to Uint8Array
-    const reader = new FileReader();
-    reader.onloadend = () => {
-        const arrayBuffer = reader.result;
-        const uint8Array = new Uint8Array(arrayBuffer);
-        socket.emit('audio-chunk', uint8Array);
-    };
-    reader.readAsArrayBuffer(audioData);
+function exportSession() {
+    if (!currentSessionId) return;
+    const format = document.getElementById('exportFormat').value;
+    const url = apiUrl(`/api/sessions/${currentSessionId}/export?format=${format}&language=${translationLanguages[0]}`);
+
+    if (format === 'html') {
+        window.open(url, '_blank');
+    } else {
+        window.location.href = url;
+    }
 }
 
 /**
- * Stop audio recording
+ * Upload a recorded file, then poll its transcription job until the transcript is ready.
+ * Resolves to whether it was transcribed.
  */
-function stopRecording() {
-    if (mediaRecorder && isRecording) {
-        mediaRecorder.stop();
-        mediaRecorder = null;
-        chunks = [];
+async function uploadRecording(file, { languages = translationLanguages, tashkeel = restoreTashkeel, prayer = selectedPrayer, recognition = recognitionOptions() } = {}) {
+    if (uploadInProgress) return false;
+    if (isRecording) {
+        showStatus('Stop recording before transcribing a file', 'error');
+        return false;
+    }
 
-        // Stop all audio tracks
-        if (audioStream) {
-            audioStream.getTracks().forEach(track => track.stop());
-            audioStream = null;
+    uploadInProgress = true;
+    uploadZone.classList.add('busy');
+    uploadText.textContent = `Uploading ${file.name}...`;
+
+    try {
+        let query = `filename=${encodeURIComponent(file.name)}&languages=${languages.join(',')}&tashkeel=${tashkeel}`;
+        if (prayer) query += `&prayer=${prayer}`;
+        if (recognition.locale) query += `&locale=${encodeURIComponent(recognition.locale)}`;
+        if (recognition.model) query += `&model=${encodeURIComponent(recognition.model)}`;
+        (recognition.phraseHints || []).forEach(hint => { query += `&phraseHints=${encodeURIComponent(hint)}`; });
+        const response = await fetch(apiUrl(`/api/transcribe?${query}`), {
+            method: 'POST',
+            headers: { 'Content-Type': file.type || 'application/octet-stream' },
+            body: file
+        });
+        let job = await response.json();
+        if (!response.ok) throw new Error(job.error || `HTTP ${response.status}`);
+
+        while (job.status === 'queued' || job.status === 'processing') {
+            uploadText.textContent = job.status === 'queued'
+                ? `Waiting to transcribe ${file.name}...`
+                : `Transcribing ${file.name}... ${Math.round(job.progress * 100)}%`;
+            await new Promise(resolve => setTimeout(resolve, UPLOAD_POLL_INTERVAL));
+
+            const poll = await fetch(apiUrl(`/api/transcribe/${job.id}`));
+            if (!poll.ok) throw new Error(`HTTP ${poll.status}`);
+            job = await poll.json();
         }
+        if (job.status === 'failed') throw new Error(job.error);
+
+        reconcileTranscript(job.result);
+        showExportControls(job.result.sessionId);
+        keepOffline(job.result.sessionId);
+        showStatus(`Transcribed ${file.name}`, 'success');
+        return true;
+    } catch (error) {
+        console.error('Error transcribing file:', error);
+        showStatus('Could not transcribe file: ' + error.message, 'error');
+        return false;
+    } finally {
+        uploadInProgress = false;
+        uploadZone.classList.remove('busy');
+        uploadText.textContent = UPLOAD_PROMPT;
     }
 }
 
 /**
- * Toggle recording state
+ * Fetch a saved session so the service worker keeps a copy to read offline
  */
-function toggleRecording() {
-    if (!isRecording) {
-        // Start recording
-        clearTranscriptions();
-        updateButtonState('recording');
-        socket.emit('start-recording');
-        startRecording().catch(error => {
-            console.error('Failed to start recording:', error);
-            updateButtonState('idle');
+function keepOffline(sessionId) {
+    if (!navigator.serviceWorker || !navigator.serviceWorker.controller) return;
+    fetch(apiUrl(`/api/sessions/${sessionId}`)).catch(() => {});
+}
+
+/**
+ * Run one request against the store of recordings waiting to be transcribed
+ */
+async function pendingRecordings(mode, makeRequest) {
+    if (!pendingDb) {
+        pendingDb = new Promise((resolve, reject) => {
+            const request = indexedDB.open(PENDING_DB, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(PENDING_STORE, { keyPath: 'id', autoIncrement: true });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
         });
-    } else {
-        // Stop recording
-        updateButtonState('stopped');
-        socket.emit('stop-recording');
-        stopRecording();
     }
+    const db = await pendingDb;
+    return new Promise((resolve, reject) => {
+        const request = makeRequest(db.transaction(PENDING_STORE, mode).objectStore(PENDING_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
 }
 
 /**
- * Update button visual state
+ * Keep a recording made without a connection, then transcribe it as soon as possible
  */
-function updateButtonState(state) {
-    const button = recordButton;
-    button.classList.remove('recording', 'stopped');
+async function saveOfflineRecording(chunks) {
+    if (chunks.length === 0) return;
+    const recordedAt = new Date().toISOString();
+    const file = new File(chunks, `recording-${recordedAt.replace(/[:.]/g, '-')}.webm`, { type: chunks[0].type || 'audio/webm' });
 
-    switch (state) {
-        case 'recording':
-            buttonText.textContent = '⏹️ Stop Recording';
-            button.classList.add('recording');
-            break;
-        case 'stopped':
-            buttonText.textContent = '✅ Recording Stopped';
-            button.classList.add('stopped');
-            setTimeout(() => {
-                buttonText.textContent = '🎤 Start Recording';
-                button.classList.remove('stopped');
-            }, 2000);
-            break;
-        default:
-            buttonText.textContent = '🎤 Start Recording';
-            break;
+    try {
+        await pendingRecordings('readwrite', store => store.add({ file, recordedAt, languages: translationLanguages, tashkeel: restoreTashkeel, prayer: selectedPrayer, recognition: recognitionOptions() }));
+        showStatus('Recording saved on this device - it will be transcribed once the server is reachable', 'success');
+    } catch (error) {
+        console.error('Error saving recording offline:', error);
+        showStatus('Could not save the recording on this device: ' + error.message, 'error');
+        return;
     }
+    await renderPendingRecordings();
+    uploadPendingRecordings();
 }
 
 /**
- * Socket.IO event handlers
+ * Transcribe the recordings kept offline, oldest first, while the server is reachable.
+ * One that fails stays queued and is tried again on the next connection.
+ */
+async function uploadPendingRecordings() {
+    if (!window.indexedDB || uploadingPending) return;
+    uploadingPending = true;
+    try {
+        const pending = await pendingRecordings('readonly', store => store.getAll());
+        for (const entry of pending) {
+            if (!socket.connected || isRecording || uploadInProgress) break;
+            if (!await uploadRecording(entry.file, entry)) break;
+            await pendingRecordings('readwrite', store => store.delete(entry.id));
+            await renderPendingRecordings();
+        }
+    } catch (error) {
+        console.error('Error transcribing offline recordings:', error);
+    } finally {
+        uploadingPending = false;
+    }
+}
+
+/**
+ * List the recordings waiting to be transcribed (hidden when there are none)
  */
-socket.on('recording-started', () => {
-    console.log('Server confirmed recording started');
+async function renderPendingRecordings() {
+    if (!window.indexedDB) return;
+    try {
+        const pending = await pendingRecordings('readonly', store => store.getAll());
+        pendingList.textContent = '';
+        pending.forEach(entry => pendingList.appendChild(pendingItem(entry)));
+        pendingPanel.classList.toggle('hidden', pending.length === 0);
+    } catch (error) {
+        console.error('Error listing offline recordings:', error);
+    }
+}
+
+function pendingItem(entry) {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+
+    const details = document.createElement('div');
+    details.className = 'history-details';
+    const date = document.createElement('div');
+    date.className = 'history-date';
+    date.textContent = `${new Date(entry.recordedAt).toLocaleString()} · ${Math.ceil(entry.file.size / 1024)} KB`;
+    details.appendChild(date);
+
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'session-button';
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', async () => {
+        if (!confirm('Delete this recording? It has not been transcribed yet.')) return;
+        await pendingRecordings('readwrite', store => store.delete(entry.id));
+        renderPendingRecordings();
+    });
+
+    item.append(details, deleteButton);
+    return item;
+}
+
+// Upload controls: tap to choose, or drag and drop
+uploadZone.addEventListener('click', () => {
+    if (!uploadInProgress) uploadInput.click();
 });
 
-socket.on('recording-stopped', () => {
-    console.log('Server confirmed recording stopped');
-    updateButtonState('idle');
+uploadZone.addEventListener('keydown', (e) => {
+    if ((e.key === 'Enter' || e.key === ' ') && !uploadInProgress) {
+        e.preventDefault();
+        uploadInput.click();
+    }
 });
 
-socket.on('transcription-update', (data) => {
-    console.log('Received transcription update:', data);
-    updateTranscription(data);
+uploadInput.addEventListener('change', () => {
+    if (uploadInput.files.length > 0) {
+        uploadRecording(uploadInput.files[0]);
+    }
+    uploadInput.value = '';
 });
 
-socket.on('error', (error) => {
-    console.error('Server error:', error);
-    showStatus('Server error: ' + error, 'error');
-    stopRecording();
-    updateButtonState('idle');
+uploadZone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    uploadZone.classList.add('dragging');
 });
 
-socket.on('connect', () => {
-    console.log('Connected to server');
-    showStatus('Connected to transcription service', 'success');
-    setTimeout(() => statusMessage.style.display = 'none', 2000);
+uploadZone.addEventListener('dragleave', () => {
+    uploadZone.classList.remove('dragging');
 });
 
-socket.on('disconnect', () => {
-    console.log('Disconnected from server');
-    showStatus('Disconnected from transcription service', 'error');
-    stopRecording();
-    updateButtonState('idle');
+uploadZone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    uploadZone.classList.remove('dragging');
+    if (e.dataTransfer.files.length > 0) {
+        uploadRecording(e.dataTransfer.files[0]);
+    }
+});
+
+document.getElementById('exportButton').addEventListener('click', exportSession);
+
+document.getElementById('accessKeySubmit').addEventListener('click', () => {
+    if (isRecording) return;
+    setAccessKey(accessKeyInput.value);
+    accessKeyInput.value = '';
+    accessPanel.classList.add('hidden');
+    socket.disconnect().connect();
+});
+
+document.getElementById('historyButton').addEventListener('click', () => {
+    historyPanel.classList.toggle('hidden');
+    if (!historyPanel.classList.contains('hidden')) {
+        loadHistory();
+    }
+});
+
+document.getElementById('settingsButton').addEventListener('click', () => {
+    settingsPanel.classList.toggle('hidden');
+});
+
+document.getElementById('practiceButton').addEventListener('click', () => {
+    practicePanel.classList.toggle('hidden');
+    if (!practicePanel.classList.contains('hidden')) {
+        loadSurahs().then(updateAyahRange);
+        loadPracticeHistory();
+    }
+});
+
+practiceSurah.addEventListener('change', () => {
+    updateAyahRange();
+    loadPracticeHistory();
 });
 
+document.getElementById('practiceStartButton').addEventListener('click', startPractice);
+
 // Button click handler
 recordButton.addEventListener('click', () => {
     // Check if browser supports Web Audio API and MediaRecorder
@@ -366,6 +1985,65 @@ window.addEventListener('load', () => {
         showStatus('Connecting to transcription service...', 'info');
     }
 
+    // Translation languages (and their boxes) from the server's list
+    loadLanguages();
+
+    // Settings panel: recognition choices from the server, display preferences applied now
+    loadRecognitionChoices();
+    const settingControls = {
+        locale: document.getElementById('settingsLocale'),
+        model: document.getElementById('settingsModel'),
+        fontSize: document.getElementById('settingsFontSize'),
+        arabicFont: document.getElementById('settingsArabicFont'),
+        theme: document.getElementById('settingsTheme')
+    };
+    Object.entries(settingControls).forEach(([name, control]) => {
+        control.value = settings[name];
+        control.addEventListener('change', () => {
+            settings[name] = control.value;
+            saveSettings();
+            applyDisplaySettings();
+        });
+    });
+    const hintsInput = document.getElementById('settingsHints');
+    hintsInput.value = settings.phraseHints.join('\n');
+    hintsInput.addEventListener('change', () => {
+        setPhraseHints(hintsInput.value);
+        hintsInput.value = settings.phraseHints.join('\n');
+    });
+    applyDisplaySettings();
+
+    // Installable app that opens without a connection (see sw.js)
+    if (navigator.serviceWorker) {
+        navigator.serviceWorker.register('sw.js').catch(error => console.error('Service worker registration failed:', error));
+    }
+    renderPendingRecordings();
+
+    const schemeSelect = document.getElementById('transliterationScheme');
+    schemeSelect.value = transliterationScheme;
+    schemeSelect.addEventListener('change', () => setTransliterationScheme(schemeSelect.value));
+    setTransliterationScheme(transliterationScheme);
+
+    const tashkeelToggle = document.getElementById('tashkeelToggle');
+    tashkeelToggle.checked = restoreTashkeel;
+    tashkeelToggle.addEventListener('change', () => {
+        restoreTashkeel = tashkeelToggle.checked;
+        localStorage.setItem('tashkeel', restoreTashkeel ? 'on' : 'off');
+    });
+
+    const prayerSelect = document.getElementById('prayerSelect');
+    prayerSelect.value = selectedPrayer;
+    prayerSelect.addEventListener('change', () => {
+        selectedPrayer = prayerSelect.value;
+        localStorage.setItem('prayer', selectedPrayer);
+    });
+
+    // Join links (and QR codes) open the page with ?join=CODE
+    const joinCode = new URLSearchParams(window.location.search).get('join');
+    if (joinCode) {
+        joinSession(joinCode);
+    }
+
     // Handle page visibility changes (stop recording if page becomes hidden)
     document.addEventListener('visibilitychange', () => {
         if (document.hidden && isRecording) {
@@ -384,13 +2062,13 @@ window.addEventListener('load', () => {
 
 // Fullscreen Prayer Mode variables
 let isFullscreen = false;
-let fullscreenLanguage = 'arabic'; // 'arabic' or 'english'
+let fullscreenLanguage = 'arabic'; // 'arabic', 'translation' or 'transliteration'
 let wakeLock = null;
 let fullscreenTimeout = null;
 
 // Individual Box Fullscreen variables
 let isIndividualFullscreen = false;
-let individualFullscreenType = null; // 'arabic' or 'english'
+let individualFullscreenType = null; // 'arabic', 'translation' or 'transliteration'
 
 // Fullscreen Mode Functions
 function enterFullscreen(language = 'arabic') {
@@ -401,8 +2079,7 @@ function enterFullscreen(language = 'arabic') {
     fullscreenLanguage = language;
     transcription.className = `fullscreen-transcription ${language}`;
 
-    const content = language === 'arabic' ? arabicTranscription.textContent : englishTranscription.textContent;
-    transcription.textContent = content;
+    renderKaraoke(transcription, language);
 
     // Request screen wake lock
     requestWakeLock();
@@ -461,16 +2138,12 @@ function enterIndividualFullscreen(type) {
         exitIndividualFullscreen();
     }
 
-    const overlayId = type === 'arabic' ? 'arabicFullscreenOverlay' : 'englishFullscreenOverlay';
-    const textElementId = type === 'arabic' ? 'arabicFullscreenText' : 'englishFullscreenText';
-    const sourceElement = type === 'arabic' ? arabicTranscription : englishTranscription;
-
-    const overlay = document.getElementById(overlayId);
-    const textElement = document.getElementById(textElementId);
+    const overlay = document.getElementById(`${type}FullscreenOverlay`);
+    const textElement = document.getElementById(`${type}FullscreenText`);
 
     // Set content and show overlay
-    textElement.textContent = sourceElement.textContent;
     overlay.classList.remove('hidden');
+    renderKaraoke(textElement, type);
 
     isIndividualFullscreen = true;
     individualFullscreenType = type;
@@ -478,11 +2151,106 @@ function enterIndividualFullscreen(type) {
     showStatus(`Fullscreen ${type} activated`, 'success');
 }
 
+/**
+ * Highlightable pieces of the transcript: single words for Arabic (with ayah markers),
+ * whole sentences for the translation and transliteration, each with the time it was
+ * recited (null: not yet)
+ */
+function karaokeUnits(language) {
+    const units = [];
+    transcriptParts().forEach(part => {
+        if (language === 'arabic') {
+            part.words.forEach((word, index) => units.push({
+                text: word.word,
+                start: word.start,
+                mark: part.segmentId !== undefined ? { segmentId: part.segmentId, index, uncertain: isUncertain(word) } : null
+            }));
+            if (part.marker) {
+                const last = part.words[part.words.length - 1];
+                units.push({ text: part.marker, start: last ? last.start : null, marker: true });
+            }
+        } else {
+            const text = language === 'transliteration'
+                ? (part.transliteration[transliterationScheme] || '').trim()
+                : partTranslation(part, translationLanguages[0]);
+            if (text) {
+                units.push({ text, start: part.words.length > 0 ? part.words[0].start : null });
+            }
+        }
+    });
+    return units.slice(-MAX_KARAOKE_UNITS);
+}
+
+/**
+ * Render the transcript word by word into a fullscreen view: what has been recited so far,
+ * the current word highlighted, and verse words not reached yet dimmed. The view scrolls
+ * like a teleprompter to keep the current word in sight.
+ */
+function renderKaraoke(element, language) {
+    if (language === 'translation') {
+        element.dir = languageInfo(translationLanguages[0]).dir;
+    }
+
+    const units = karaokeUnits(language);
+    if (units.length === 0) {
+        element.textContent = PLACEHOLDERS[language];
+        return;
+    }
+
+    // Latest audio the recognizer has heard
+    const playhead = Math.max(...[...segments.values()].map(segment => segment.end));
+
+    let current = -1;
+    units.forEach((unit, index) => {
+        if (unit.start !== null && unit.start <= playhead && !unit.marker) current = index;
+    });
+
+    const fragment = document.createDocumentFragment();
+    units.forEach((unit, index) => {
+        const span = document.createElement('span');
+        span.textContent = unit.text;
+        span.className = language === 'arabic' && !unit.marker ? 'karaoke-unit arabic-word' : 'karaoke-unit';
+        markRecognizedWord(span, unit.mark);
+        if (language === 'arabic' && !unit.marker) markKnownWord(span);
+        if (index === current) {
+            span.classList.add('current');
+        } else if (unit.start === null || unit.start > playhead) {
+            span.classList.add('upcoming');
+        }
+        fragment.appendChild(span);
+        fragment.appendChild(document.createTextNode(' '));
+    });
+    element.textContent = '';
+    element.appendChild(fragment);
+
+    const currentSpan = element.querySelector('.karaoke-unit.current');
+    if (currentSpan) {
+        currentSpan.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+}
+
+/**
+ * Keep any open fullscreen view in step with the transcription boxes
+ */
+function syncFullscreenText() {
+    // Update prayer mode fullscreen content if active
+    if (isFullscreen) {
+        renderKaraoke(document.getElementById('fullscreenTranscription'), fullscreenLanguage);
+    }
+
+    // Update individual fullscreen content if active
+    if (isIndividualFullscreen) {
+        const textElement = document.getElementById(`${individualFullscreenType}FullscreenText`);
+        if (textElement) {
+            renderKaraoke(textElement, individualFullscreenType);
+        }
+    }
+}
+
 function exitIndividualFullscreen() {
     if (!isIndividualFullscreen) return;
 
-    const overlayId = individualFullscreenType === 'arabic' ? 'arabicFullscreenOverlay' : 'englishFullscreenOverlay';
-    const overlay = document.getElementById(overlayId);
+    const overlay = document.getElementById(`${individualFullscreenType}FullscreenOverlay`);
 
     overlay.classList.add('hidden');
 
@@ -548,86 +2316,66 @@ function releaseWakeLock() {
 
 // Event Listeners for Fullscreen Mode
 document.addEventListener('DOMContentLoaded', () => {
-    const arabicBox = document.getElementById('arabicBox');
-    const englishBox = document.getElementById('englishBox');
     const fullscreenOverlay = document.getElementById('fullscreenOverlay');
     const fullscreenTranscription = document.getElementById('fullscreenTranscription');
     const exitZone = document.getElementById('exitZone');
 
-    // Click handlers for entering fullscreen
-    arabicBox.addEventListener('click', (e) => {
-        if (!isRecording && arabicTranscription.textContent.trim() !== 'Waiting for speech...') {
-            e.preventDefault();
-            // Long press or double tap for individual fullscreen on mobile/touch devices
-            if (e.type === 'dblclick' || (e.touches && e.touches.length === 1)) {
-                enterIndividualFullscreen('arabic');
-            } else {
-                enterFullscreen('arabic');
-            }
-        }
+    // Tapping an Arabic word shows its meaning, in the box and in the fullscreen views
+    [arabicTranscription, fullscreenTranscription, document.getElementById('arabicFullscreenText')]
+        .forEach(element => element.addEventListener('click', tapWord));
+    document.getElementById('wordPopoverClose').addEventListener('click', hideWordDetails);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') hideWordDetails();
     });
 
-    englishBox.addEventListener('click', (e) => {
-        if (!isRecording && englishTranscription.textContent.trim() !== 'Waiting for translation...') {
-            e.preventDefault();
-            // Long press or double tap for individual fullscreen on mobile/touch devices
-            if (e.type === 'dblclick' || (e.touches && e.touches.length === 1)) {
-                enterIndividualFullscreen('english');
-            } else {
-                enterFullscreen('english');
+    // Each transcription box: click for prayer mode, double-click, long press or its button
+    // for the box alone, and an exit zone to leave it
+    ['arabic', 'translation', 'transliteration'].forEach(type => {
+        const box = document.getElementById(`${type}Box`);
+        const content = document.getElementById(`${type}Transcription`);
+
+        box.addEventListener('click', (e) => {
+            if (!isRecording && content.textContent.trim() !== PLACEHOLDERS[type]) {
+                e.preventDefault();
+                // Long press or double tap for individual fullscreen on mobile/touch devices
+                if (e.type === 'dblclick' || (e.touches && e.touches.length === 1)) {
+                    enterIndividualFullscreen(type);
+                } else {
+                    enterFullscreen(type);
+                }
             }
-        }
-    });
-
-    // Add touch/double-click event listeners for individual fullscreen
-    arabicBox.addEventListener('dblclick', (e) => {
-        e.preventDefault();
-        enterIndividualFullscreen('arabic');
-    });
-
-    englishBox.addEventListener('dblclick', (e) => {
-        e.preventDefault();
-        enterIndividualFullscreen('english');
-    });
-
-    // Touch events for mobile (long press alternative)
-    let touchStartTime = 0;
-    arabicBox.addEventListener('touchstart', (e) => {
-        touchStartTime = Date.now();
-    });
+        });
 
-    arabicBox.addEventListener('touchend', (e) => {
-        if (Date.now() - touchStartTime > 500 && !isRecording) { // Long press > 500ms
+        box.addEventListener('dblclick', (e) => {
+            const word = e.target.closest('.arabic-word');
+            if (word && isTappable(word)) return;
             e.preventDefault();
-            enterIndividualFullscreen('arabic');
-        }
-    });
-
-    englishBox.addEventListener('touchstart', (e) => {
-        touchStartTime = Date.now();
-    });
+            enterIndividualFullscreen(type);
+        });
 
-    englishBox.addEventListener('touchend', (e) => {
-        if (Date.now() - touchStartTime > 500 && !isRecording) { // Long press > 500ms
-            e.preventDefault();
-            enterIndividualFullscreen('english');
-        }
-    });
+        // Touch events for mobile (long press alternative)
+        let touchStartTime = 0;
+        box.addEventListener('touchstart', (e) => {
+            touchStartTime = Date.now();
+        });
 
-    // Individual fullscreen button event handlers
-    const arabicFullscreenBtn = document.getElementById('arabicFullscreenBtn');
-    const englishFullscreenBtn = document.getElementById('englishFullscreenBtn');
+        box.addEventListener('touchend', (e) => {
+            if (Date.now() - touchStartTime > 500 && !isRecording) { // Long press > 500ms
+                e.preventDefault();
+                enterIndividualFullscreen(type);
+            }
+        });
 
-    arabicFullscreenBtn.addEventListener('click', (e) => {
-        e.stopPropagation(); // Prevent triggering the box click
-        e.preventDefault(); // Prevent any default behavior
-        enterIndividualFullscreen('arabic'); // Always work on single click
-    });
+        document.getElementById(`${type}FullscreenBtn`).addEventListener('click', (e) => {
+            e.stopPropagation(); // Prevent triggering the box click
+            e.preventDefault(); // Prevent any default behavior
+            enterIndividualFullscreen(type); // Always work on single click
+        });
 
-    englishFullscreenBtn.addEventListener('click', (e) => {
-        e.stopPropagation(); // Prevent triggering the box click
-        e.preventDefault(); // Prevent any default behavior
-        enterIndividualFullscreen('english'); // Always work on single click
+        document.getElementById(`${type}ExitZone`).addEventListener('click', (e) => {
+            e.stopPropagation();
+            exitIndividualFullscreen();
+        });
     });
 
     // Exit fullscreen on overlay click
@@ -645,20 +2393,6 @@ document.addEventListener('DOMContentLoaded', () => {
         exitFullscreen();
     });
 
-    // Individual fullscreen exit zones
-    const arabicExitZone = document.getElementById('arabicExitZone');
-    const englishExitZone = document.getElementById('englishExitZone');
-
-    arabicExitZone.addEventListener('click', (e) => {
-        e.stopPropagation();
-        exitIndividualFullscreen();
-    });
-
-    englishExitZone.addEventListener('click', (e) => {
-        e.stopPropagation();
-        exitIndividualFullscreen();
-    });
-
     // Handle fullscreen change events
     document.addEventListener('fullscreenchange', () => {
         if (!document.fullscreenElement && isFullscreen) {
@@ -686,29 +2420,6 @@ document.addEventListener('DOMContentLoaded', () => {
             exitFullscreen();
         }
     });
-
-    // Update fullscreen content when transcription updates
-    const originalUpdateTranscription = window.updateTranscription;
-    window.updateTranscription = function(data) {
-        originalUpdateTranscription(data);
-
-        // Update prayer mode fullscreen content if active
-        if (isFullscreen) {
-            const fullscreenTranscription = document.getElementById('fullscreenTranscription');
-            const content = fullscreenLanguage === 'arabic' ? arabicTranscription.textContent : englishTranscription.textContent;
-            fullscreenTranscription.textContent = content;
-        }
-
-        // Update individual fullscreen content if active
-        if (isIndividualFullscreen) {
-            const textElementId = individualFullscreenType === 'arabic' ? 'arabicFullscreenText' : 'englishFullscreenText';
-            const sourceElement = individualFullscreenType === 'arabic' ? arabicTranscription : englishTranscription;
-            const textElement = document.getElementById(textElementId);
-            if (textElement) {
-                textElement.textContent = sourceElement.textContent;
-            }
-        }
-    };
 });
 
 // Error handling for unhandled promises
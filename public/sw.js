@@ -0,0 +1,124 @@
+// Service worker: the app opens without a connection (common inside a mosque), and saved
+// sessions that were already fetched can still be read offline.
+//
+// The page itself (app shell) is served from the cache and refreshed in the background, so an
+// update shows on the next visit. Saved sessions go to the network first and fall back to the
+// copy kept from the last time they were fetched. Change CACHE_VERSION when SHELL_FILES changes.
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `understandsalah-shell-${CACHE_VERSION}`;
+const SESSIONS_CACHE = `understandsalah-sessions-${CACHE_VERSION}`;
+
+const SHELL_FILES = ['./', 'index.html', 'script.js', 'style.css', 'manifest.webmanifest', 'icon.svg'];
+// Loaded by index.html from its CDN; cached as an opaque response
+const SOCKET_IO_CLIENT = 'https://cdn.socket.io/4.7.2/socket.io.min.js';
+
+// Saved sessions kept for offline reading, oldest dropped first
+const MAX_CACHED_SESSIONS = 100;
+
+// GET /api/sessions and GET/DELETE /api/sessions/:id (not exports), on whichever origin the
+// backend is
+const SESSIONS_PATH = /\/api\/sessions(\/[0-9a-f-]{36})?$/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_FILES);
+        await cache.put(SOCKET_IO_CLIENT, await fetch(SOCKET_IO_CLIENT, { mode: 'no-cors' }));
+        await self.skipWaiting();
+    })());
+});
+
+// Drop the caches of earlier versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const current = [SHELL_CACHE, SESSIONS_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('understandsalah-') && !current.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (SESSIONS_PATH.test(url.pathname)) {
+        if (request.method === 'GET') {
+            event.respondWith(networkFirst(event));
+        } else if (request.method === 'DELETE') {
+            event.respondWith(forgetDeleted(request));
+        }
+        return;
+    }
+    if (request.method !== 'GET') return;
+
+    // Opening the app (with or without ?join= or ?key=) is always the cached page
+    if (request.mode === 'navigate' && url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(event, new URL('index.html', self.registration.scope).href));
+    } else if (request.url === SOCKET_IO_CLIENT || isShellFile(url)) {
+        event.respondWith(staleWhileRevalidate(event, request));
+    }
+    // Everything else (uploads, exports, the socket) goes straight to the network
+});
+
+function isShellFile(url) {
+    if (url.origin !== self.location.origin) return false;
+    return SHELL_FILES.some(file => new URL(file, self.registration.scope).pathname === url.pathname);
+}
+
+// Answer from the cache when there is a copy, and fetch a fresh one for next time
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    const refresh = fetch(request).then((response) => {
+        if (response.ok || response.type === 'opaque') {
+            return cache.put(request, response.clone()).then(() => response);
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+// The server's answer, kept for offline use; offline, the last answer kept
+async function networkFirst(event) {
+    const cache = await caches.open(SESSIONS_CACHE);
+    try {
+        const response = await fetch(event.request);
+        if (response.ok) {
+            event.waitUntil(cache.put(event.request, response.clone()).then(() => trimCache(cache)));
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(event.request, { ignoreSearch: true });
+        if (cached) return cached;
+        return new Response(JSON.stringify({ error: 'This session is not available offline' }), {
+            status: 503,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
+
+// A deleted session is no longer offered offline
+async function forgetDeleted(request) {
+    const response = await fetch(request);
+    if (response.ok || response.status === 404) {
+        const cache = await caches.open(SESSIONS_CACHE);
+        await cache.delete(request.url, { ignoreSearch: true });
+    }
+    return response;
+}
+
+async function trimCache(cache) {
+    const keys = await cache.keys();
+    const excess = keys.length - MAX_CACHED_SESSIONS;
+    for (const key of keys.slice(0, Math.max(0, excess))) {
+        await cache.delete(key);
+    }
+}
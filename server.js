@@ -1,261 +1,1176 @@
 require('dotenv').config();
+const crypto = require('crypto');
+const os = require('os');
 const express = require('express');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
-const speech = require('@google-cloud/speech');
-const { Translate } = require('@google-cloud/translate').v2;
-const fs = require('fs');
-const path = require('path');
 const cors = require('cors');
-
-// Audio processing dependencies
-const ffmpeg = require('fluent-ffmpeg');
-const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
-ffmpeg.setFfmpegPath(ffmpegPath);
+const QRCode = require('qrcode');
+const config = require('./lib/config');
+const { createProviders } = require('./lib/providers');
+const { loadCorpus, createVerseMatcher, timeVerseWords } = require('./lib/quran');
+const { loadAdhkar, createAdhkarMatcher } = require('./lib/adhkar');
+const { createPcmDecoder } = require('./lib/audio');
+const { createVoiceGate } = require('./lib/silence');
+const { createTranscript, serialize } = require('./lib/transcript');
+const { parseCorrection, applyCorrection } = require('./lib/alternatives');
+const { BYTES_PER_SECOND } = require('./lib/wav');
+const { createRoomRegistry } = require('./lib/rooms');
+const { createSessionStore } = require('./lib/store');
+const { createSessionsRouter } = require('./lib/routes/sessions');
+const { createTranscribeRouter } = require('./lib/routes/transcribe');
+const { createJobQueue } = require('./lib/jobs');
+const { transcribeFile } = require('./lib/batch');
+const { describeLanguages, pickLanguages } = require('./lib/languages');
+const { describeRecognition, parseRecognitionOptions } = require('./lib/recognition');
+const { transliterateAll, SCHEMES: TRANSLITERATION_SCHEMES } = require('./lib/transliterate');
+const { resolvePassage, detectPassage, scoreRecitation } = require('./lib/practice');
+const { parsePrayer, createPrayerTracker } = require('./lib/prayer');
+const { loadLexicon, createLexicon } = require('./lib/lexicon');
+const { createDiacritizer } = require('./lib/tashkeel');
+const { loadGlossary, createGlossaryTranslator } = require('./lib/glossary');
+const { createAccessControl } = require('./lib/access');
+const { createUsageLimits } = require('./lib/limits');
+const { sweepTempFiles, TEMP_PREFIX } = require('./lib/temp');
+const { createMetrics, instrumentRecognizer, instrumentTranslator } = require('./lib/metrics');
+const { createHealthRouter } = require('./lib/routes/health');
 
 const app = express();
 const server = createServer(app);
 
-// Configure CORS for cross-origin requests (Netlify frontend → Railway backend)
+// Who may connect: allowed origins (Netlify frontend → Railway backend) and access keys
+const access = createAccessControl(config.access);
+if (config.access.allowedOrigins.length === 0) {
+    console.log('Note: ALLOWED_ORIGINS is not set, so pages on any site can use this server');
+}
+if (access.keysRequired) {
+    console.log(`✓ Access keys required to record (${config.access.keys.length} configured)`);
+}
+
+// Minutes recorded per day and recordings at once, per client and in total
+const limits = createUsageLimits(config.limits);
+
+// Configure CORS for cross-origin requests
 const corsOptions = {
-    origin: true, // Allow all origins for now, restrict in production
-    methods: ["GET", "POST"],
+    origin: access.corsOrigin,
+    methods: ["GET", "POST", "DELETE"],
     credentials: true
 };
 app.use(cors(corsOptions));
 
 const io = new Server(server, {
-    cors: corsOptions
+    cors: corsOptions,
+    allowRequest: access.allowRequest,
+    // A client sending anything much bigger than an audio chunk is disconnected before it is buffered
+    maxHttpBufferSize: config.recording.maxChunkBytes + 64 * 1024
 });
+io.use(access.socketMiddleware);
 
-// Google Cloud credentials setup
-let credPath = process.env.GOOGLE_APPLICATION_CREDENTIALS;
+// Prometheus metrics (lib/metrics), counted as audio and text go to the providers
+const metrics = createMetrics({ costs: config.costs });
 
-if (!credPath && process.env.GOOGLE_CREDENTIALS_JSON) {
-    // If credentials are in environment variable, write to temporary file
-    const credsDir = path.join(__dirname, 'temp-creds');
-    if (!fs.existsSync(credsDir)) {
-        fs.mkdirSync(credsDir);
-    }
-    credPath = path.join(credsDir, 'google-creds.json');
-    fs.writeFileSync(credPath, process.env.GOOGLE_CREDENTIALS_JSON, 'utf8');
-    process.env.GOOGLE_APPLICATION_CREDENTIALS = credPath;
-}
-
-// Initialize Google Cloud clients
-let speechClient = null;
-let translate = null;
+// Initialize speech recognition and translation providers (see lib/providers)
+const providers = createProviders(config);
+const providerErrors = providers.errors;
+const recognizer = providers.recognizer && instrumentRecognizer(providers.recognizer, metrics);
 
+// Islamic terms and prayer phrases rendered consistently, and repeated phrases translated once
+// (see lib/glossary)
+let glossary;
 try {
-    speechClient = new speech.SpeechClient();
-    translate = new Translate();
-    console.log('✓ Google Cloud APIs initialized successfully');
+    glossary = loadGlossary({ overrideFile: config.translation.glossaryFile });
 } catch (error) {
-    console.error('✗ Failed to initialize Google Cloud APIs:', error.message);
-    console.log('Note: The app will still run but speech-to-text features will not work');
+    console.error(`✗ Failed to load glossary overrides from ${config.translation.glossaryFile}:`, error.message);
+    glossary = loadGlossary();
 }
+// Arabic goes through the glossary; English lexicon glosses go to the provider as they are
+const providerTranslator = providers.translator && instrumentTranslator(providers.translator, metrics);
+const translator = providerTranslator &&
+    createGlossaryTranslator(providerTranslator, { glossary, cacheSize: config.translation.cacheSize });
+
+if (recognizer) {
+    console.log(`✓ Speech recognition provider: ${recognizer.name}`);
+} else {
+    console.error(`✗ Failed to initialize speech provider "${config.speechProvider}":`, providerErrors.recognizer);
+    console.log('Note: The app will still run but recordings will be rejected until a provider is configured');
+}
+
+if (translator) {
+    console.log(`✓ Translation provider: ${translator.name} (glossary of ${glossary.size} terms and phrases)`);
+} else {
+    console.error(`✗ Failed to initialize translation provider "${config.translationProvider}":`, providerErrors.translator);
+    console.log('Note: Transcriptions will be shown without translation');
+}
+
+// Quran corpus for matching recitation to verses
+// (with the bundled translation for every language clients can choose)
+const corpus = loadCorpus({ translations: config.translationLanguages });
+const verseMatcher = createVerseMatcher(corpus, { threshold: config.quran.matchThreshold });
+const diacritizer = createDiacritizer(corpus);
+
+// Fixed phrases of the prayer (takbir, tasbih, tashahhud...) with their agreed translations
+const adhkarMatcher = createAdhkarMatcher(loadAdhkar(), { threshold: config.adhkar.matchThreshold });
+
+// Root, morphology and meaning of the words of the prayer, for tapping a word
+const lexicon = createLexicon(loadLexicon());
 
 // Serve static files
 app.use(express.static('public'));
 
-// Store audio data temporarily for processing (per client)
-let clientAudioBuffers = new Map(); // socket.id -> audio buffers array
+// Set once SIGTERM arrives, so the platform stops sending new clients
+let shuttingDown = false;
+
+// Health checks and metrics: ready to record once a speech provider is up
+app.use(createHealthRouter({
+    status: () => ({
+        ready: Boolean(recognizer) && !shuttingDown,
+        providers: {
+            speech: { name: config.speechProvider, ready: Boolean(recognizer), error: providerErrors.recognizer || null },
+            translation: { name: config.translationProvider, ready: Boolean(translator), error: providerErrors.translator || null }
+        }
+    }),
+    metrics,
+    requireKey: access.requireKey
+}));
+
+// Saved sessions and their REST API
+const sessionStore = createSessionStore(config.sessions.dir);
+app.use('/api/sessions', access.requireKey, createSessionsRouter(sessionStore, {
+    isActive: id => Boolean(findRecording(id)) || finishing.has(id)
+}));
+
+// Translation languages clients can choose from
+app.get('/api/languages', (req, res) => {
+    res.json({ languages: describeLanguages(config.translationLanguages) });
+});
+
+// Recognition locales, models and phrase hint limits clients may choose from
+app.get('/api/recognition', (req, res) => {
+    res.json(describeRecognition(config.recognition));
+});
+
+// Surahs to pick a practice passage from
+app.get('/api/quran/surahs', (req, res) => {
+    res.json({ surahs: corpus.surahs });
+});
+
+// Which of some words (?words=, comma-separated) the lexicon lists: only those are offered to tap
+const MAX_LEXICON_WORDS = 100;
+app.get('/api/lexicon', (req, res) => {
+    const words = String(req.query.words || '').split(',').filter(Boolean);
+    if (words.length > MAX_LEXICON_WORDS) {
+        return res.status(400).json({ error: `Ask about at most ${MAX_LEXICON_WORDS} words at a time` });
+    }
+    res.json({ known: words.filter(word => lexicon.lookup(word)) });
+});
+
+// One word's root, part of speech, morphology and meaning, with the meaning also in
+// ?language= (one of the translation languages; English by default)
+app.get('/api/lexicon/:word', async (req, res) => {
+    const found = lexicon.lookup(req.params.word);
+    if (!found) {
+        return res.status(404).json({ error: 'This word is not in the lexicon' });
+    }
+    const language = pickLanguages(req.query.language, config.translationLanguages)[0];
+    res.json(await translateMeanings(found, language));
+});
+
+// Uploaded recordings, transcribed in the background and saved as sessions
+app.use('/api/transcribe', access.requireKey, createTranscribeRouter({
+    jobs: createJobQueue(),
+    transcribe: transcribeUpload,
+    maxUploadBytes: config.uploads.maxBytes,
+    available: () => Boolean(recognizer),
+    recognitionSettings: config.recognition,
+    admit: (req) => {
+        const refused = limits.refuseMinutes(req.client.id);
+        if (refused) metrics.limitRefusals.inc({ limit: refused.limit });
+        return refused;
+    }
+}));
+
+// Broadcast rooms (one recording device, many read-only listeners)
+const rooms = createRoomRegistry();
+
+// QR code (SVG) that opens the frontend at ?url= and joins the room
+app.get('/api/rooms/:code/qr', async (req, res) => {
+    const room = rooms.get(req.params.code);
+    if (!room) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+
+    let pageUrl;
+    try {
+        pageUrl = new URL(req.query.url);
+    } catch (error) {
+        return res.status(400).json({ error: 'A valid url query parameter is required' });
+    }
+    if (pageUrl.protocol !== 'http:' && pageUrl.protocol !== 'https:') {
+        return res.status(400).json({ error: 'url must be http or https' });
+    }
+
+    pageUrl.search = `?join=${room.code}`;
+    pageUrl.hash = '';
+    const svg = await QRCode.toString(pageUrl.toString(), { type: 'svg', margin: 1 });
+    res.type('image/svg+xml').send(svg);
+});
+
+// How long stop-recording waits for the recognizer to flush its last results
+const FINISH_TIMEOUT_MS = 15000;
+
+// Active recordings (per client): socket.id -> streaming pipeline state
+const recordings = new Map();
+// Recordings whose client lost its connection: session id -> recording, kept running for
+// RESUME_GRACE_SECONDS so the client can reconnect and carry on
+const suspended = new Map();
+// Session ids of stopped recordings still flushing their last results before they are saved
+const finishing = new Set();
+
+metrics.registry.gauge('understandsalah_sockets_connected', 'Connected Socket.IO clients', () => io.engine.clientsCount);
+metrics.registry.gauge('understandsalah_recordings_active', 'Recordings in progress', () => recordings.size);
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
     console.log('Client connected:', socket.id);
+    socket.data.languages = pickLanguages(null, config.translationLanguages);
+
+    // options: { languages, tashkeel, practice, prayer, locale, model, phraseHints } - translation
+    // languages for this device, whether to add vowel marks to the recognized text, a passage to
+    // practise, the prayer being recorded (lib/prayer.js) and the recognition settings
+    // (lib/recognition.js)
+    socket.on('start-recording', (options = {}) => {
+        if (!recognizer) {
+            socket.emit('error', `Speech recognition is unavailable (${providerErrors.recognizer})`);
+            return;
+        }
+        if (socket.data.listeningTo) {
+            socket.emit('error', 'You are following a shared session. Leave it to record on this device.');
+            return;
+        }
+        const { client } = socket.data;
+        if (!client.authorized) {
+            socket.emit('access-denied', { message: 'Recording needs an access key. Ask your mosque for one.' });
+            return;
+        }
+
+        // Practice: score the recitation against a chosen passage, or the one it matches
+        let practice = null;
+        if (options && options.practice) {
+            try {
+                practice = { passage: options.practice.surah ? resolvePassage(corpus, options.practice) : null };
+            } catch (error) {
+                socket.emit('error', error.message);
+                return;
+            }
+        }
+
+        let prayer;
+        let recognition;
+        try {
+            prayer = parsePrayer(options && options.prayer);
+            recognition = parseRecognitionOptions(options, config.recognition);
+        } catch (error) {
+            socket.emit('error', error.message);
+            return;
+        }
+
+        if (options && options.languages) {
+            socket.data.languages = pickLanguages(options.languages, config.translationLanguages);
+        }
+
+        abandonRecording(recordings.get(socket.id)); // a repeated start replaces any unfinished recording
+        const refused = limits.refuseSession(client.id);
+        if (refused) {
+            console.log(`Recording refused for client ${socket.id}: ${refused.limit} limit reached`);
+            metrics.limitRefusals.inc({ limit: refused.limit });
+            socket.emit('limit-reached', refused);
+            return;
+        }
 
-    socket.on('start-recording', () => {
         console.log('Recording started for client:', socket.id);
-        clientAudioBuffers.set(socket.id, []); // Initialize empty buffer for this client
-
-        // Start real-time processing interval (process every 3 seconds)
-        let lastProcessedIndex = 0;
-        const processingInterval = setInterval(async () => {
-            const buffers = clientAudioBuffers.get(socket.id);
-            if (buffers && buffers.length >= lastProcessedIndex + 3) { // Have at least 3 new chunks since last processing
-                try {
-                    // Process the accumulated chunks from lastProcessedIndex to current
-                    const chunksToProcess = buffers.slice(lastProcessedIndex);
-                    lastProcessedIndex = buffers.length - 1; // Keep some overlap for context
-
-                    if (chunksToProcess.length >= 3) { // Minimum chunks for processing
-                        console.log(`Processing ${chunksToProcess.length} chunks in real-time for client ${socket.id}`);
-                        await processAudioChunk(chunksToProcess, socket, true); // true = real-time mode
-                    }
-                } catch (error) {
-                    console.error('Error in real-time processing:', error);
-                    // Continue recording even if processing fails
-                }
+        metrics.recordings.inc();
+        const tashkeel = options && typeof options.tashkeel === 'boolean' ? options.tashkeel : config.restoreTashkeel;
+        const recording = startRecognition(socket, { tashkeel, recognition, clientId: client.id });
+        recording.practice = practice;
+        // A practised passage is recitation on its own, not a prayer
+        recording.prayer = practice ? null : createPrayerTracker({ prayer });
+        recordings.set(socket.id, recording);
+
+        // Listeners start over with the new recording
+        const room = rooms.byBroadcaster(socket.id);
+        if (room) {
+            room.transcript = recording.transcript;
+            socket.to(room.channel).emit('transcript-snapshot', { segments: [] });
+            socket.to(room.channel).emit('prayer-state', null);
+        }
+
+        socket.emit('recording-started', { sessionId: recording.session.id, resumeToken: recording.resumeToken });
+    });
+
+    // Carry on a recording after reconnecting: request { sessionId, resumeToken } from
+    // recording-started. The client then resends the chunks after `lastSeq`.
+    socket.on('resume-recording', (request) => {
+        const { sessionId, resumeToken } = request || {};
+        const recording = findRecording(sessionId);
+        if (!recording || typeof resumeToken !== 'string' || resumeToken !== recording.resumeToken) {
+            socket.emit('resume-failed', { sessionId, message: 'The connection was lost for too long. What was recorded before it has been saved.' });
+            return;
+        }
+        if (!socket.data.client.authorized || socket.data.listeningTo) {
+            socket.emit('resume-failed', { sessionId, message: 'This device can no longer record. What was recorded has been saved.' });
+            return;
+        }
+
+        const current = recordings.get(socket.id);
+        if (current !== recording) {
+            abandonRecording(current); // resuming replaces anything started on this connection
+        }
+        const previousSocket = recording.socket;
+        resumeRecording(recording, socket);
+        console.log(`Recording ${sessionId} resumed by client ${socket.id} (was ${previousSocket.id})`);
+
+        // The old connection may not have timed out on this side yet
+        if (previousSocket !== socket && previousSocket.connected) {
+            previousSocket.disconnect(true);
+        }
+    });
+
+    // seq: the chunk's number in the recording (from 0), so chunks resent after a reconnect
+    // aren't decoded twice
+    socket.on('audio-chunk', (audioData, seq) => {
+        // Feed the chunk straight into this client's decoder
+        const recording = recordings.get(socket.id);
+        if (!recording || recording.limitReached) return;
+        if (Number.isInteger(seq)) {
+            if (seq <= recording.lastSeq) return;
+            if (seq > recording.lastSeq + 1) {
+                console.warn(`Audio chunks ${recording.lastSeq + 1}-${seq - 1} of recording ${recording.session.id} never arrived`);
             }
-        }, 3000); // Process every 3 seconds
+            recording.lastSeq = seq;
+        }
 
-        // Store interval ID for cleanup
-        socket.processingInterval = processingInterval;
-        socket.emit('recording-started');
+        const binary = Buffer.isBuffer(audioData) || audioData instanceof ArrayBuffer || ArrayBuffer.isView(audioData);
+        if (!binary || audioData.byteLength === 0 || audioData.byteLength > config.recording.maxChunkBytes) {
+            // The chunk is dropped and the recording carries on; logged once per recording
+            if (!recording.badChunk) {
+                recording.badChunk = true;
+                console.warn(`Invalid audio chunk from client ${socket.id} (binary, at most ${Math.round(config.recording.maxChunkBytes / 1024)} KB)`);
+                metrics.errors.inc({ type: 'invalid-chunk' });
+            }
+            return;
+        }
+
+        const { maxBytes } = config.recording;
+        if (maxBytes && recording.bytesReceived + audioData.byteLength > maxBytes) {
+            stopAtLimit(recording, {
+                limit: 'recording-size',
+                message: `This recording has reached the largest size the server accepts (${Math.round(maxBytes / 1024 / 1024)} MB), so it has been stopped and saved.`,
+                resetsAt: null
+            });
+            return;
+        }
+
+        const chunk = Buffer.from(audioData.buffer || audioData, audioData.byteOffset || 0, audioData.byteLength);
+        recording.bytesReceived += chunk.length;
+        recording.decoder.write(chunk);
+        if (recording.audioFile) {
+            recording.audioFile.write(chunk);
+        }
     });
 
-    socket.on('audio-chunk', (audioData) => {
-        // Store audio chunk for this client
-        const buffers = clientAudioBuffers.get(socket.id);
-        if (buffers) {
-            buffers.push(Buffer.from(audioData));
+    socket.on('stop-recording', () => stopRecording(socket));
+
+    // Put one of the recognizer's alternatives in place of a misheard word: request { sessionId,
+    // segmentId, index, word }, for this device's recording in progress or a saved session
+    socket.on('correct-word', request => correctWord(socket, request));
+
+    // Share this device's transcription with listeners. Refusals (here and in join-room) are
+    // room-rejected { code, message }, which leaves a recording in progress running.
+    socket.on('create-room', () => {
+        if (socket.data.listeningTo) {
+            socket.emit('room-rejected', { code: null, message: 'Leave the session you are following before sharing your own.' });
+            return;
+        }
+
+        const room = rooms.open(socket.id);
+        const recording = recordings.get(socket.id);
+        if (recording) {
+            room.transcript = recording.transcript;
         }
+
+        console.log(`Room ${room.code} opened by client:`, socket.id);
+        socket.emit('room-created', { code: room.code, listeners: listenerCount(room) });
     });
 
-    socket.on('stop-recording', async () => {
-        console.log('Recording stopped for client:', socket.id);
+    socket.on('close-room', () => {
+        closeRoom(socket.id);
+        socket.emit('room-closed');
+    });
 
-        // Clear processing interval
-        if (socket.processingInterval) {
-            clearInterval(socket.processingInterval);
-            socket.processingInterval = null;
+    // Follow someone else's transcription, read-only.
+    // request: the room code, or { code, languages }
+    socket.on('join-room', (request) => {
+        const code = request && typeof request === 'object' ? request.code : request;
+        const room = rooms.get(code);
+        if (!room) {
+            socket.emit('room-rejected', { code: typeof code === 'string' ? code : null, message: 'Session not found. Check the code and try again.' });
+            return;
+        }
+        if (room.broadcasterId === socket.id || recordings.has(socket.id)) {
+            socket.emit('room-rejected', { code: room.code, message: 'Stop recording on this device before joining a session.' });
+            return;
         }
 
-        // For final processing, combine ALL chunks into one complete recording
-        const allBuffers = clientAudioBuffers.get(socket.id);
-        if (allBuffers && allBuffers.length > 0) {
-            console.log(`Processing final complete recording for client ${socket.id}: ${allBuffers.length} chunks`);
+        leaveRoom(socket);
+        socket.join(room.channel);
+        socket.data.listeningTo = room.code;
+        if (request && request.languages) {
+            socket.data.languages = pickLanguages(request.languages, config.translationLanguages);
+        }
+        console.log(`Client ${socket.id} joined room ${room.code}`);
 
-            try {
-                await processCompleteFinalRecording(allBuffers, socket);
-                socket.emit('processing-complete');
-            } catch (error) {
-                console.error('Error processing final recording:', error);
-                socket.emit('error', 'Error processing recording: ' + error.message);
-            }
+        socket.emit('room-joined', { code: room.code });
+
+        // Catch-up snapshot for listeners joining mid-prayer
+        socket.emit('transcript-snapshot', { segments: room.transcript ? room.transcript.segments() : [] });
+        const live = recordings.get(room.broadcasterId);
+        if (live && live.voiceActivity) {
+            socket.emit('voice-activity', live.voiceActivity);
         }
+        if (live && live.prayer && live.prayer.current()) {
+            socket.emit('prayer-state', live.prayer.current());
+        }
+        notifyListenerCount(room);
+        translateMissing(socket, room.transcript);
+    });
 
-        // Clean up
-        clientAudioBuffers.delete(socket.id);
-        socket.emit('recording-stopped');
+    // Change this device's translation languages mid-session
+    socket.on('set-languages', (languages) => {
+        socket.data.languages = pickLanguages(languages, config.translationLanguages);
+        socket.emit('languages-updated', { languages: socket.data.languages });
+
+        const recording = recordings.get(socket.id);
+        const room = socket.data.listeningTo ? rooms.get(socket.data.listeningTo) : null;
+        translateMissing(socket, recording ? recording.transcript : room && room.transcript);
+    });
+
+    socket.on('leave-room', () => {
+        leaveRoom(socket);
     });
 
     socket.on('disconnect', () => {
         console.log('Client disconnected:', socket.id);
-        // Clear processing interval
-        if (socket.processingInterval) {
-            clearInterval(socket.processingInterval);
+        const recording = recordings.get(socket.id);
+        if (recording && config.recording.resumeGraceSeconds) {
+            // Keep recognizing, and keep the room open for listeners, until the client is back
+            suspendRecording(recording);
+        } else {
+            abandonRecording(recording);
+            closeRoom(socket.id);
         }
-        // Clean up any remaining buffers for this client
-        clientAudioBuffers.delete(socket.id);
+        leaveRoom(socket);
     });
 });
 
-// Convert WEBM to WAV using ffmpeg
-function convertWebmToWav(webmBuffer) {
-    return new Promise((resolve, reject) => {
-        const tempInputPath = path.join(__dirname, `temp-input-${Date.now()}.webm`);
-        const tempOutputPath = path.join(__dirname, `temp-output-${Date.now()}.wav`);
-
-        // Write input buffer to temporary file
-        fs.writeFileSync(tempInputPath, webmBuffer);
-
-        // Convert using ffmpeg
-        ffmpeg(tempInputPath)
-            .inputFormat('webm')
-            .audioCodec('pcm_s16le')
-            .audioChannels(1)
-            .audioFrequency(16000)
-            .outputFormat('wav')
-            .output(tempOutputPath)
-            .on('end', () => {
-                try {
-                    // Read the converted file
-                    const wavBuffer = fs.readFileSync(tempOutputPath);
-
-                    // Clean up temporary files
-                    fs.unlinkSync(tempInputPath);
-                    fs.unlinkSync(tempOutputPath);
-
-                    resolve(wavBuffer);
-                } catch (error) {
-                    reject(error);
-                }
-            })
-            .on('error', (err) => {
-                // Clean up temporary files on error
-                try {
-                    fs.unlinkSync(tempInputPath);
-                    if (fs.existsSync(tempOutputPath)) {
-                        fs.unlinkSync(tempOutputPath);
-                    }
-                } catch (cleanupError) {
-                    console.warn('Failed to cleanup temp files:', cleanupError);
-                }
-                reject(err);
-            })
-            .run();
+function listenerCount(room) {
+    const members = io.sockets.adapter.rooms.get(room.channel);
+    return members ? members.size : 0;
+}
+
+// Keep the broadcaster's listener count up to date
+function notifyListenerCount(room) {
+    io.to(room.broadcasterId).emit('room-update', { code: room.code, listeners: listenerCount(room) });
+}
+
+// Every translation language wanted by a recording client and the listeners of its room,
+// so each segment is translated once per language however many phones asked for it
+function audienceLanguages(socket) {
+    const languages = new Set(socket.data.languages);
+
+    const room = rooms.byBroadcaster(socket.id);
+    const members = room ? io.sockets.adapter.rooms.get(room.channel) : null;
+    for (const id of members || []) {
+        const listener = io.sockets.sockets.get(id);
+        if (listener) listener.data.languages.forEach(language => languages.add(language));
+    }
+    return [...languages];
+}
+
+// Translate the final segments a client can already see into languages it has just asked
+// for (joining mid-prayer, or changing languages), and send it the results
+async function translateMissing(socket, transcript) {
+    if (!transcript) return;
+
+    for (const { id } of transcript.finalSegments()) {
+        const segment = transcript.get(id);
+        const missing = socket.data.languages.filter(language => segment.translations[language] === undefined);
+        if (missing.length === 0) continue;
+
+        await translateSegment(segment, missing);
+        if (socket.connected) {
+            socket.emit('transcription-update', serialize(segment));
+        }
+    }
+}
+
+// Send to the recording client and, if it is broadcasting, everyone following its room
+function emitToAudience(socket, event, payload) {
+    socket.emit(event, payload);
+
+    const room = rooms.byBroadcaster(socket.id);
+    if (room) {
+        socket.to(room.channel).emit(event, payload);
+    }
+}
+
+// Stop broadcasting: listeners are told and removed from the room
+function closeRoom(broadcasterId) {
+    const room = rooms.byBroadcaster(broadcasterId);
+    if (!room) return;
+
+    console.log(`Room ${room.code} closed`);
+    rooms.close(room.code);
+    io.to(room.channel).emit('room-closed');
+    io.in(room.channel).fetchSockets().then((listeners) => {
+        listeners.forEach((listener) => {
+            listener.data.listeningTo = null;
+            listener.leave(room.channel);
+        });
     });
 }
 
-// Process complete recording for speech recognition and translation
-async function processAudioChunk(buffers, socket) {
+function leaveRoom(socket) {
+    const code = socket.data.listeningTo;
+    if (!code) return;
+
+    socket.data.listeningTo = null;
+    const room = rooms.get(code);
+    if (room) {
+        socket.leave(room.channel);
+        notifyListenerCount(room);
+    }
+}
+
+// The client asked to stop recording
+async function stopRecording(socket) {
+    console.log('Recording stopped for client:', socket.id);
+
+    const recording = recordings.get(socket.id);
+    if (recording) {
+        await finishRecording(recording);
+    } else {
+        socket.emit('recording-stopped');
+    }
+}
+
+// End a recording: flush the last results, save it and send the settled transcript
+async function finishRecording(recording) {
+    releaseRecording(recording);
+    finishing.add(recording.session.id);
     try {
-        // Convert WEBM audio to WAV with 16kHz sample rate for Google Speech API
-        const webmBuffer = Buffer.concat(buffers);
-        const wavBuffer = await convertWebmToWav(webmBuffer);
-
-        // Configure speech recognition for Arabic
-        const request = {
-            audio: {
-                content: wavBuffer.toString('base64'),
-            },
-            config: {
-                encoding: 'LINEAR16',
-                sampleRateHertz: 16000,
-                languageCode: 'ar-SA', // Arabic (Saudi Arabia) - good for Islamic recitation
-                model: 'default',
-                useEnhanced: true,
-            },
-        };
-
-        // Perform speech recognition
-        const [response] = await speechClient.recognize(request);
-        const transcription = response.results
-            .map(result => result.alternatives[0].transcript)
-            .join('\n');
-
-        if (transcription) {
-            console.log('Arabic transcription:', transcription);
-
-            // Translate to English if we have transcription
-            const [englishTranslation] = await translate.translate(transcription, {
-                from: 'ar',
-                to: 'en'
-            });
+        await finishRecognition(recording);
+        if (recording.practice) {
+            scorePractice(recording);
+        }
+        // Saved before processing-complete, so the client can fetch the session straight away
+        await saveSession(recording, 'complete');
+
+        // The settled transcript replaces whatever the clients pieced together live
+        emitToAudience(recording.socket, 'transcript-snapshot', { segments: recording.transcript.finalSegments() });
+        recording.socket.emit('processing-complete', { sessionId: recording.session.id });
+    } catch (error) {
+        console.error('Error processing final recording:', error);
+        recording.socket.emit('error', 'Error processing recording: ' + error.message);
+    } finally {
+        finishing.delete(recording.session.id);
+    }
 
-            console.log('English translation:', englishTranslation);
+    recording.socket.emit('recording-stopped');
+}
 
-            // Send results to client
-            socket.emit('transcription-update', {
-                arabic: transcription,
-                english: englishTranslation
-            });
+// A recording stops running (once): it is no longer found by its client, no longer waits to
+// be resumed and no longer counts against the concurrent recording limits
+function releaseRecording(recording) {
+    if (recording.released) return;
+    recording.released = true;
+    if (recordings.get(recording.socket.id) === recording) {
+        recordings.delete(recording.socket.id);
+    }
+    suspended.delete(recording.session.id);
+    clearTimeout(recording.timer);
+    clearTimeout(recording.graceTimer);
+    limits.end(recording.clientId);
+    if (recording.voiceActivity) {
+        emitToAudience(recording.socket, 'voice-activity', null);
+    }
+}
+
+// Stop a recording that reached a limit and tell the client why; what was recorded is saved
+function stopAtLimit(recording, refused) {
+    if (recording.limitReached || recording.released) return;
+    recording.limitReached = true;
+    console.log(`Recording stopped for client ${recording.socket.id}: ${refused.limit} limit reached`);
+    metrics.limitRefusals.inc({ limit: refused.limit });
+    recording.socket.emit('limit-reached', refused);
+    finishRecording(recording);
+}
+
+// A running recording by session id, whether its client is connected or not
+function findRecording(sessionId) {
+    if (suspended.has(sessionId)) return suspended.get(sessionId);
+    for (const recording of recordings.values()) {
+        if (recording.session.id === sessionId) return recording;
+    }
+    return null;
+}
+
+// The client lost its connection mid-recording: recognition carries on with the audio already
+// received, and the recording ends (saved as interrupted) unless the client resumes it in time
+function suspendRecording(recording) {
+    recordings.delete(recording.socket.id);
+    suspended.set(recording.session.id, recording);
+    console.log(`Recording ${recording.session.id} suspended for up to ${config.recording.resumeGraceSeconds}s`);
+
+    recording.graceTimer = setTimeout(() => {
+        console.log(`Recording ${recording.session.id} was not resumed`);
+        abandonRecording(recording);
+        closeRoom(recording.socket.id);
+    }, config.recording.resumeGraceSeconds * 1000);
+}
+
+// Hand a recording over to the client's new connection and bring it up to date: the transcript
+// so far, where the prayer is, the last audio chunk received and the room its listeners are
+// still following
+function resumeRecording(recording, socket) {
+    clearTimeout(recording.graceTimer);
+    suspended.delete(recording.session.id);
+    if (recordings.get(recording.socket.id) === recording) {
+        recordings.delete(recording.socket.id);
+    }
+
+    const room = rooms.byBroadcaster(recording.socket.id);
+    if (room) {
+        room.broadcasterId = socket.id;
+    }
+    recording.socket = socket;
+    recordings.set(socket.id, recording);
+
+    socket.emit('recording-resumed', {
+        sessionId: recording.session.id,
+        lastSeq: recording.lastSeq,
+        room: room ? { code: room.code, listeners: listenerCount(room) } : null
+    });
+    socket.emit('transcript-snapshot', { segments: recording.transcript.segments() });
+    if (recording.prayer && recording.prayer.current()) {
+        socket.emit('prayer-state', recording.prayer.current());
+    }
+}
+
+// Streaming pipeline for one recording:
+// audio-chunk → long-lived ffmpeg decoder → PCM → streaming recognizer → transcription-update
+function startRecognition(socket, { tashkeel, recognition, clientId }) {
+    const recording = {
+        socket, // the client's current connection (replaced when it resumes after reconnecting)
+        resumeToken: crypto.randomBytes(16).toString('hex'),
+        clientId,
+        session: {
+            id: sessionStore.newId(),
+            startedAt: new Date().toISOString(),
+            languageCode: recognition.languageCode,
+            model: recognition.model,
+            phraseHints: recognition.phraseHints,
+            translationLanguages: [...socket.data.languages],
+            tashkeel,
+            providers: { speech: recognizer.name, translation: translator ? translator.name : null }
+        },
+        audioFile: null,
+        decoder: createPcmDecoder(),
+        recognition: createRecognition(recognition),
+        transcript: createTranscript(),
+        bytesReceived: 0,
+        bytesDecoded: 0,
+        lastVerse: null,
+        interimMatch: null, // { id, at, verse, dhikr }: the last interim segment matched
+        prayer: null, // prayer tracker (lib/prayer.js), none for practice
+        voiceActivity: null, // { speaking, at } last sent to the audience
+        finals: Promise.resolve(), // final results are processed one at a time so they reach the client in order
+        abandoned: false,
+        released: false,
+        limitReached: false,
+        badChunk: false,
+        lastSeq: -1, // last numbered audio chunk received
+        timer: null,
+        graceTimer: null
+    };
+    limits.begin(clientId);
+
+    const { maxSeconds } = config.recording;
+    if (maxSeconds) {
+        const minutes = Math.round(maxSeconds / 60);
+        recording.timer = setTimeout(() => stopAtLimit(recording, {
+            limit: 'recording-length',
+            message: `Recordings can be at most ${minutes} minute${minutes === 1 ? '' : 's'} long, so this one has been stopped and saved.`,
+            resetsAt: null
+        }), maxSeconds * 1000);
+    }
+
+    recording.ended = new Promise(resolve => recording.recognition.once('end', resolve));
+
+    if (config.sessions.saveAudio) {
+        recording.audioFile = sessionStore.createAudioWriter(recording.session.id);
+        recording.audioFile.on('error', error => console.error('Error saving session audio:', error.message));
+    }
+    saveSession(recording, 'recording');
+
+    recording.decoder.on('data', (pcm) => {
+        if (recording.limitReached) return;
+        recording.bytesDecoded += pcm.length;
+        recording.recognition.write(pcm);
+
+        // The audio just sent is counted; once a daily limit is used up the recording ends there
+        const refused = limits.add(clientId, pcm.length / BYTES_PER_SECOND);
+        if (refused) {
+            stopAtLimit(recording, refused);
+        }
+    });
+    recording.decoder.on('end', () => recording.recognition.end());
+    recording.decoder.on('error', (error) => {
+        console.error('Error decoding audio:', error.message);
+        metrics.errors.inc({ type: 'decode' });
+        recording.socket.emit('error', 'Error decoding audio: ' + error.message);
+        recording.recognition.end();
+    });
+
+    recording.recognition.on('error', (error) => {
+        console.error('Error in streaming recognition:', error);
+        recording.socket.emit('error', 'Error processing speech: ' + error.message);
+    });
+
+    recording.recognition.on('activity', (activity) => {
+        recording.voiceActivity = activity;
+        emitToAudience(recording.socket, 'voice-activity', activity);
+    });
+
+    recording.recognition.on('result', (result) => {
+        // Assign the result to its segment right away, so ids follow the order results arrived in
+        const segment = recording.transcript.update(result, recording.bytesDecoded / BYTES_PER_SECOND);
+
+        if (result.isFinal) {
+            recording.finals = recording.finals.then(() => processSegment(segment, recording));
+        } else {
+            processSegment(segment, recording);
+        }
+    });
+
+    return recording;
+}
+
+// A recognizer stream for one recording ({ languageCode, model, phraseHints }), behind the voice
+// activity gate unless it is turned off
+function createRecognition(options) {
+    const stream = recognizer.createStream(options);
+    const { enabled, pauseSeconds } = config.voiceActivity;
+    return enabled ? createVoiceGate(stream, { pauseSeconds }) : stream;
+}
+
+// Flush the decoder and recognizer, then wait for the last results to reach the client
+async function finishRecognition(recording) {
+    if (recording.bytesReceived === 0) {
+        // Nothing to decode; ffmpeg would only complain about empty input
+        recording.decoder.destroy();
+        recording.recognition.end();
+    } else {
+        recording.decoder.end();
+    }
+
+    let timer;
+    const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => {
+            console.warn('Timed out waiting for final recognition results');
+            resolve();
+        }, FINISH_TIMEOUT_MS);
+    });
+    await Promise.race([recording.ended, timeout]);
+    clearTimeout(timer);
+
+    await recording.finals;
+}
+
+// Drop a recording without waiting for results (a new start-recording, or a client that
+// didn't come back)
+function abandonRecording(recording) {
+    if (!recording || recording.released) return;
+
+    releaseRecording(recording);
+    recording.abandoned = true;
+    recording.decoder.destroy();
+    recording.recognition.end();
+    saveSession(recording, 'interrupted');
+}
+
+// Persist a recording's transcript so far. Called at start, after every final segment
+// and at the end, so a crash loses at most the segment in progress. Resolves once written
+// (a failed save is logged, not thrown).
+function saveSession(recording, status) {
+    recording.session.status = status;
+    if (status !== 'recording') {
+        recording.session.endedAt = new Date().toISOString();
+        if (recording.audioFile) {
+            recording.audioFile.end();
+        }
+    }
+
+    return sessionStore.save({
+        ...recording.session,
+        duration: Math.round(recording.bytesDecoded / BYTES_PER_SECOND),
+        hasAudio: Boolean(recording.audioFile),
+        prayer: recording.prayer ? recording.prayer.summary() : null,
+        segments: recording.transcript.finalSegments()
+    }).catch((error) => {
+        console.error('Error saving session:', error.message);
+        metrics.errors.inc({ type: 'session-save' });
+    });
+}
+
+// Score a practice recording against its passage (or the passage it was matched to) and send
+// the result to the reciter. The result is saved with the session, so past attempts and their
+// scores stay in the history.
+function scorePractice(recording) {
+    const { socket } = recording;
+    const segments = recording.transcript.finalSegments();
+    const passage = recording.practice.passage || detectPassage(corpus, segments, verseMatcher);
+    if (!passage) {
+        socket.emit('error', 'Could not tell which passage you recited. Choose one and try again.');
+        return;
+    }
+
+    const result = scoreRecitation(corpus, passage, segments.flatMap(segment => segment.words));
+    console.log(`Practice ${result.passage.reference} scored ${result.score}%`);
+    recording.session.practice = result;
+    socket.emit('practice-result', { sessionId: recording.session.id, ...result });
+}
+
+// Match a transcript segment to the Quran, translate it if final, and send it to the client
+async function processSegment(segment, recording) {
+    if (recording.abandoned) return;
+
+    if (!segment.arabic) {
+        // Withdrawn segment: the client drops it
+        emitToAudience(recording.socket, 'transcription-update', serialize(segment));
+        return;
+    }
+
+    // Interims come several times a second and matching is their costly part: within
+    // interimMatchMs of a segment's last match, an interim shows that match again
+    const now = Date.now();
+    const earlier = recording.interimMatch;
+    const reuse = !segment.isFinal && earlier && earlier.id === segment.id &&
+        now - earlier.at < config.quran.interimMatchMs ? earlier : null;
+
+    const languages = audienceLanguages(recording.socket);
+    const verse = await annotateSegment(segment, recording.lastVerse, languages, recording.session.tashkeel, reuse);
+    if (!segment.isFinal && !reuse) {
+        recording.interimMatch = { id: segment.id, at: now, verse: segment.verse, dhikr: segment.dhikr };
+    }
+    if (segment.isFinal && verse) {
+        recording.lastVerse = verse;
+    }
+    if (segment.isFinal) {
+        recording.session.translationLanguages = [...new Set([...recording.session.translationLanguages, ...languages])];
+    }
+
+    // Send results to client (and its listeners), on whichever connection it has by now
+    emitToAudience(recording.socket, 'transcription-update', serialize(segment));
+
+    const prayerState = recording.prayer && recording.prayer.update(segment);
+    if (prayerState) {
+        console.log(`Prayer: rak'ah ${prayerState.rakah}, ${prayerState.position}`);
+        emitToAudience(recording.socket, 'prayer-state', prayerState);
+    }
+
+    if (segment.isFinal) {
+        saveSession(recording, 'recording');
+    }
+}
+
+// Fill in a segment's adhkar or Quran verse and its translation into each of the given
+// languages, after adding vowel marks to the recognized text when `tashkeel` is on.
+// `earlier` ({ verse, dhikr }) is a match to use instead of matching again. Returns the matched
+// verse, if any.
+async function annotateSegment(segment, previousVerse, languages, tashkeel, earlier = null) {
+    if (tashkeel) {
+        restoreTashkeel(segment);
+    }
+    const transcription = segment.arabic;
+
+    // The prayer's fixed phrases, shown as their canonical text with the agreed translations
+    const dhikr = earlier ? earlier.dhikr : adhkarMatcher.match(transcription, { words: segment.words || [] });
+
+    // Otherwise place the recitation in the Quran so the client can show the canonical text
+    const verse = earlier ? earlier.verse : dhikr ? null : verseMatcher.match(transcription, { previous: previousVerse });
+    if (verse && !earlier) {
+        // Carry the recognized word timings over to the canonical words the client shows
+        timeVerseWords(verse, segment.words || [], segment.isFinal);
+    }
+
+    if (segment.isFinal) {
+        console.log('Arabic transcription:', transcription);
+        if (verse) {
+            console.log(`Matched verse ${verse.reference} (confidence ${verse.confidence})`);
+        }
+        if (dhikr) {
+            console.log(`Matched adhkar ${dhikr.phrases.map(phrase => phrase.id).join(', ')} (confidence ${dhikr.confidence})`);
+        }
+    }
+
+    segment.verse = verse;
+    segment.dhikr = dhikr;
+    segment.transliteration = transliterateSegment(segment);
+    segment.translations = {};
+    await translateSegment(segment, languages);
+    return verse;
+}
+
+// A word the user corrected: the segment is matched, translated and saved again, and the
+// corrector gets word-corrected { sessionId, segment, correction } (listeners of a recording in
+// progress get the segment too). The prayer tracker and a practice score keep what they made of
+// the word first heard. A correction that can't be made is answered with correction-failed
+// { sessionId, message }, which leaves a recording in progress running.
+async function correctWord(socket, request) {
+    const sessionId = request && typeof request.sessionId === 'string' ? request.sessionId : null;
+    if (!socket.data.client.authorized) {
+        socket.emit('correction-failed', { sessionId, message: 'Correcting a transcript needs an access key. Ask your mosque for one.' });
+        return;
+    }
+
+    try {
+        const correction = parseCorrection(request);
+        if (finishing.has(correction.sessionId)) {
+            throw new Error('This recording is still being saved. Try again in a moment.');
+        }
+        const recording = findRecording(correction.sessionId);
+        if (recording && recording.socket !== socket) {
+            throw new Error('This recording is still going on another device');
         }
+
+        const corrected = recording
+            ? await correctRecording(recording, correction)
+            : await correctSavedSession(correction);
+        console.log(`Corrected "${corrected.correction.heard}" to "${corrected.correction.word}" in session ${correction.sessionId}`);
+        socket.emit('word-corrected', { sessionId: correction.sessionId, ...corrected });
     } catch (error) {
-        console.error('Error processing audio chunk:', error);
-        socket.emit('error', 'Error processing speech: ' + error.message);
+        socket.emit('correction-failed', { sessionId, message: error.message });
     }
 }
 
-// Process final complete recording when recording stops
-async function processCompleteFinalRecording(buffers, socket) {
-    // Same as processAudioChunk but for the final complete recording
-    return processAudioChunk(buffers, socket);
+// A correction to a recording in progress, made after the final segments being processed
+function correctRecording(recording, correction) {
+    const corrected = recording.finals.then(async () => {
+        const segment = recording.transcript.get(correction.segmentId);
+        if (!segment) {
+            throw new Error('That word is no longer in the transcript');
+        }
+        if (!segment.isFinal) {
+            throw new Error('This part is still being recognized. Correct it once it is finished.');
+        }
+
+        const saved = applyCorrection(segment, correction);
+        await annotateSegment(segment, null, audienceLanguages(recording.socket), recording.session.tashkeel);
+        recording.session.corrections = [...(recording.session.corrections || []), saved];
+        emitToAudience(recording.socket, 'transcription-update', serialize(segment));
+        saveSession(recording, 'recording');
+        return { segment: serialize(segment), correction: saved };
+    });
+    recording.finals = corrected.catch(() => {});
+    return corrected;
+}
+
+// A correction to a session saved earlier (or by a recording that has ended)
+async function correctSavedSession(correction) {
+    const session = await sessionStore.get(correction.sessionId);
+    if (!session) {
+        throw new Error('Session not found');
+    }
+    const segment = session.segments.find(candidate => candidate.id === correction.segmentId);
+    if (!segment) {
+        throw new Error('That word is no longer in the transcript');
+    }
+
+    const saved = applyCorrection(segment, correction);
+    await annotateSegment(segment, null, session.translationLanguages, session.tashkeel);
+    const updated = serialize(segment);
+    session.segments = session.segments.map(candidate => (candidate.id === updated.id ? updated : candidate));
+    session.corrections = [...(session.corrections || []), saved];
+    await sessionStore.save(session);
+    return { segment: updated, correction: saved };
 }
 
+// Vowel marks on the recognized text and its timed words (recognizers leave them off)
+function restoreTashkeel(segment) {
+    segment.arabic = diacritizer.restore(segment.arabic);
+
+    const vowelled = segment.arabic.split(' ');
+    segment.words = (segment.words || []).map((word, index) => ({
+        ...word,
+        word: vowelled.length === segment.words.length ? vowelled[index] : diacritizer.restore(word.word)
+    }));
+}
+
+// What a matched segment is shown as: the ayat of its verse or its adhkar phrases (each with
+// transliteration and translations), or null for recognized text
+function canonicalPieces(segment) {
+    if (segment.verse) return segment.verse.ayat;
+    if (segment.dhikr) return segment.dhikr.phrases;
+    return null;
+}
+
+// Romanized segment in every scheme: the canonical text of a matched verse or dhikr (fully
+// vowelled, so the pronunciation comes out right), otherwise what was recognized
+function transliterateSegment(segment) {
+    const pieces = canonicalPieces(segment);
+    if (!pieces) return transliterateAll(segment.arabic);
+
+    const schemes = {};
+    for (const scheme of Object.keys(TRANSLITERATION_SCHEMES)) {
+        schemes[scheme] = pieces
+            .map(piece => Array(piece.count || 1).fill(piece.transliteration[scheme]).join(' '))
+            .join(' ');
+    }
+    return schemes;
+}
+
+// Add translations of a segment into languages it doesn't have yet. A matched verse or dhikr
+// already carries vetted translations; anything else is machine-translated, once per language.
+// Interim hypotheses change every few hundred ms, so only final results are machine-translated.
+async function translateSegment(segment, languages) {
+    const pieces = canonicalPieces(segment);
+    const toTranslate = [];
+    for (const language of languages) {
+        const bundled = pieces && pieces.every(piece => piece.translations[language]);
+        if (bundled) {
+            segment.translations[language] = pieces
+                .map(piece => (piece.count > 1 ? `${piece.translations[language]} (×${piece.count})` : piece.translations[language]))
+                .join(' ');
+        } else if (segment.isFinal && translator) {
+            toTranslate.push(language);
+        }
+    }
+
+    await Promise.all(toTranslate.map(async (language) => {
+        try {
+            segment.translations[language] = await translator.translate(segment.arabic, { from: 'ar', to: language });
+            console.log(`Translation (${language}):`, segment.translations[language]);
+        } catch (error) {
+            // Still show the Arabic; a failed translation shouldn't end the recording
+            console.error(`Error translating transcription (${language}):`, error.message);
+        }
+    }));
+
+    segment.english = segment.translations.en || '';
+}
+
+// Lexicon glosses machine-translated so far: "<language>:<English gloss>" → Promise<gloss>
+const glossTranslations = new Map();
+
+// A lexicon lookup with each entry's meaning in `language` too: the lexicon's own gloss where
+// it has one, otherwise its English gloss machine-translated (once per gloss and language), by
+// the provider itself: the glossary is for Arabic text. Without a translator, or when
+// translating fails, the English gloss is the only one.
+async function translateMeanings(found, language) {
+    if (!language || language === 'en' || !providerTranslator) return found;
+
+    await Promise.all(found.entries.map(async (entry) => {
+        if (entry.meaning[language] || !entry.meaning.en) return;
+        const key = `${language}:${entry.meaning.en}`;
+        if (!glossTranslations.has(key)) {
+            glossTranslations.set(key, providerTranslator.translate(entry.meaning.en, { from: 'en', to: language }));
+        }
+        try {
+            entry.meaning = { ...entry.meaning, [language]: await glossTranslations.get(key) };
+        } catch (error) {
+            glossTranslations.delete(key);
+            console.error(`Error translating gloss (${language}):`, error.message);
+        }
+    }));
+    return found;
+}
+
+// Transcribe an uploaded file and save it as a session, like a live recording. recognition:
+// the checked { languageCode, model, phraseHints, maxAlternatives } (lib/recognition.js).
+async function transcribeUpload(filePath, { filename, languages: requested, tashkeel: requestedTashkeel, prayer = null, recognition, clientId, onProgress }) {
+    const startedAt = new Date().toISOString();
+    const languages = pickLanguages(requested, config.translationLanguages);
+    const tashkeel = requestedTashkeel !== undefined ? requestedTashkeel : config.restoreTashkeel;
+    let transcribed;
+    try {
+        transcribed = await transcribeFile(filePath, {
+            recognizer,
+            recognition,
+            annotate: (segment, previousVerse) => annotateSegment(segment, previousVerse, languages, tashkeel),
+            maxPieceSeconds: config.uploads.maxPieceSeconds,
+            maxDuration: config.recording.maxSeconds || Infinity,
+            maxSeconds: limits.secondsLeft(clientId),
+            onProgress
+        });
+    } catch (error) {
+        metrics.errors.inc({ type: 'upload' });
+        throw error;
+    }
+    const { duration, segments } = transcribed;
+    limits.add(clientId, duration);
+
+    const tracker = createPrayerTracker({ prayer });
+    segments.forEach(segment => tracker.update(segment));
+
+    const session = {
+        id: sessionStore.newId(),
+        startedAt,
+        endedAt: new Date().toISOString(),
+        source: 'upload',
+        filename,
+        languageCode: recognition.languageCode,
+        model: recognition.model,
+        phraseHints: recognition.phraseHints,
+        translationLanguages: languages,
+        tashkeel,
+        providers: { speech: recognizer.name, translation: translator ? translator.name : null },
+        status: 'complete',
+        duration: Math.round(duration),
+        hasAudio: false,
+        prayer: tracker.summary(),
+        segments
+    };
+    await sessionStore.save(session);
+    console.log(`Transcribed upload "${filename}": ${segments.length} segments`);
+
+    return { sessionId: session.id, duration: session.duration, segments };
+}
+
+// Temp files left behind by a crash: uploads, their decoded audio and whisper.cpp input, and
+// half-written sessions
+Promise.all([
+    sweepTempFiles(os.tmpdir(), name => name.startsWith(TEMP_PREFIX)),
+    sweepTempFiles(config.sessions.dir, name => name.endsWith('.tmp'))
+]).then(([uploads, sessions]) => {
+    if (uploads + sessions > 0) {
+        console.log(`✓ Removed ${uploads + sessions} stale temp files`);
+    }
+}).catch(error => console.error('✗ Failed to sweep temp files:', error.message));
+
 // Start server
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
 server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Visit http://localhost:${PORT} to use the app`);
-    console.log('Make sure to set GOOGLE_APPLICATION_CREDENTIALS environment variable');
+    if (config.speechProvider === 'google') {
+        console.log('Make sure to set GOOGLE_APPLICATION_CREDENTIALS environment variable');
+    }
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('SIGTERM received, shutting down gracefully');
+    shuttingDown = true;
     server.close(() => {
         console.log('Process terminated');
     });
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createAccessControl } = require('../lib/access');
+
+// The client id a socket connecting from `address` with these headers is given
+function clientId(config, headers, address = '10.0.0.1') {
+    const socket = { handshake: { headers, address }, data: {} };
+    createAccessControl(config).socketMiddleware(socket, () => {});
+    return socket.data.client.id;
+}
+
+test('X-Forwarded-For is ignored unless a proxy is trusted', () => {
+    assert.strictEqual(clientId({}, { 'x-forwarded-for': '203.0.113.7' }), 'ip:10.0.0.1');
+});
+
+test('the client is the entry the proxy appended, not one the client sent', () => {
+    const headers = { 'x-forwarded-for': '198.51.100.1, 203.0.113.7' };
+    assert.strictEqual(clientId({ trustProxy: 1 }, headers), 'ip:203.0.113.7');
+});
+
+test('with several proxies the client is that many entries from the right', () => {
+    const headers = { 'x-forwarded-for': '198.51.100.1, 203.0.113.7, 192.0.2.5' };
+    assert.strictEqual(clientId({ trustProxy: 2 }, headers), 'ip:203.0.113.7');
+    assert.strictEqual(clientId({ trustProxy: 5 }, headers), 'ip:198.51.100.1');
+});
+
+test('the socket address is used without X-Forwarded-For', () => {
+    assert.strictEqual(clientId({ trustProxy: 1 }, {}), 'ip:10.0.0.1');
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAdhkar, createAdhkarMatcher } = require('../lib/adhkar');
+const { stripDiacritics } = require('../lib/arabic');
+
+const entries = loadAdhkar();
+const matcher = createAdhkarMatcher(entries);
+const recite = ids => ids.map(id => stripDiacritics(entries.find(entry => entry.id === id).arabic)).join(' ');
+
+const SITTING = ['tashahhud-greetings', 'tashahhud-prophet', 'tashahhud-righteous', 'tashahhud-shahada',
+    'salawat', 'salawat-baraka', 'dua-before-taslim'];
+
+test('splits the final sitting into its phrases', () => {
+    const result = matcher.match(recite(SITTING));
+    assert.deepStrictEqual(result.phrases.map(phrase => phrase.id), SITTING);
+});
+
+test('matches the longest segment it accepts in well under a second', () => {
+    // Every catalogue phrase back to back, cut at the longest segment matched
+    const words = recite(entries.map(entry => entry.id)).split(' ').slice(0, 150);
+    const started = Date.now();
+    const result = matcher.match(words.join(' '));
+    assert.ok(Date.now() - started < 1000, `took ${Date.now() - started} ms`);
+    assert.ok(result && result.phrases.length > 0);
+});
+
+test('keeps up with the interims of a long sitting', () => {
+    const words = recite(SITTING).split(' ');
+    const started = Date.now();
+    for (let length = 1; length <= words.length; length++) {
+        matcher.match(words.slice(0, length).join(' '));
+    }
+    assert.ok(Date.now() - started < 5000, `took ${Date.now() - started} ms`);
+});
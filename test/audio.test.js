@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { decodeFile } = require('../lib/audio');
+const { pcmToWav, BYTES_PER_SECOND } = require('../lib/wav');
+
+test('hands every decoded byte to a slow onData', async (t) => {
+    const seconds = 60;
+    const file = path.join(os.tmpdir(), `audio-test-${process.pid}.wav`);
+    fs.writeFileSync(file, pcmToWav(Buffer.alloc(seconds * BYTES_PER_SECOND, 1)));
+    t.after(() => fs.rmSync(file, { force: true }));
+
+    let received = 0;
+    const length = await decodeFile(file, {
+        onData: async (pcm) => {
+            await new Promise(resolve => setTimeout(resolve, 5));
+            received += pcm.length;
+        }
+    });
+
+    assert.strictEqual(length, seconds * BYTES_PER_SECOND);
+    assert.strictEqual(received, length);
+});
+
+test('refuses audio longer than maxSeconds', async (t) => {
+    const file = path.join(os.tmpdir(), `audio-test-long-${process.pid}.wav`);
+    fs.writeFileSync(file, pcmToWav(Buffer.alloc(5 * BYTES_PER_SECOND, 1)));
+    t.after(() => fs.rmSync(file, { force: true }));
+
+    await assert.rejects(decodeFile(file, { maxSeconds: 2, onData: () => {} }), error => error.code === 'too-long');
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createGlossary, createGlossaryTranslator } = require('../lib/glossary');
+
+const stub = {
+    name: 'stub',
+    sent: [],
+    async translate(text, { to }) {
+        this.sent.push(text);
+        return `[${to}] ${text}`;
+    }
+};
+
+test('different English texts are cached apart', async () => {
+    stub.sent = [];
+    const translator = createGlossaryTranslator(stub, { glossary: createGlossary([]), cacheSize: 10 });
+
+    const worlds = await translator.translate('the worlds', { from: 'en', to: 'ur' });
+    const lord = await translator.translate('Lord (of)', { from: 'en', to: 'ur' });
+
+    assert.strictEqual(worlds, '[ur] the worlds');
+    assert.strictEqual(lord, '[ur] Lord (of)');
+});
+
+test('Arabic spelling variants share one cached translation', async () => {
+    stub.sent = [];
+    const translator = createGlossaryTranslator(stub, { glossary: createGlossary([]), cacheSize: 10 });
+
+    await translator.translate('الْحَمْدُ لِلَّهِ', { from: 'ar', to: 'en' });
+    await translator.translate('الحمد لله', { from: 'ar', to: 'en' });
+
+    assert.strictEqual(stub.sent.length, 1);
+});
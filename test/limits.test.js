@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createUsageLimits } = require('../lib/limits');
+
+const LIMITS = { clientMinutesPerDay: 10, totalMinutesPerDay: 15, clientSessions: 1, totalSessions: 2 };
+
+test('a client is refused once its daily minutes are used', () => {
+    const limits = createUsageLimits(LIMITS);
+    assert.strictEqual(limits.add('a', 9 * 60), null);
+    assert.strictEqual(limits.secondsLeft('a'), 60);
+
+    const refused = limits.add('a', 60);
+    assert.strictEqual(refused.limit, 'client-minutes');
+    assert.deepStrictEqual(limits.refuseSession('a'), refused);
+    assert.strictEqual(limits.refuseMinutes('b'), null);
+});
+
+test('every client is refused once the server\'s daily minutes are used', () => {
+    const limits = createUsageLimits(LIMITS);
+    limits.add('a', 8 * 60);
+    assert.strictEqual(limits.secondsLeft('b'), 7 * 60);
+    limits.add('b', 7 * 60);
+
+    assert.strictEqual(limits.refuseMinutes('c').limit, 'total-minutes');
+    assert.strictEqual(limits.secondsLeft('c'), 0);
+});
+
+test('minutes start over the next UTC day', () => {
+    let now = new Date('2026-01-01T23:59:00Z');
+    const limits = createUsageLimits(LIMITS, { now: () => now });
+    const refused = limits.add('a', 10 * 60);
+    assert.strictEqual(refused.resetsAt, '2026-01-02T00:00:00.000Z');
+
+    now = new Date('2026-01-02T00:01:00Z');
+    assert.strictEqual(limits.refuseMinutes('a'), null);
+});
+
+test('recordings at once are limited per client and in total', () => {
+    const limits = createUsageLimits(LIMITS);
+    limits.begin('a');
+    assert.strictEqual(limits.refuseSession('a').limit, 'client-sessions');
+    limits.begin('b');
+    assert.strictEqual(limits.refuseSession('c').limit, 'total-sessions');
+
+    limits.end('a');
+    assert.strictEqual(limits.refuseSession('a'), null);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeWord } = require('../lib/arabic');
+const { loadCorpus } = require('../lib/quran');
+const { detectPassage, scoreRecitation, MAX_PASSAGE_WORDS } = require('../lib/practice');
+
+const corpus = loadCorpus();
+
+// Segments matched to single ayat of a surah, with a matcher that places none of them as a whole
+function matchedSegments(surah, ayat) {
+    return ayat.map(ayah => ({ arabic: '', verse: { surah, ayat: [{ ayah }] } }));
+}
+const noWholeMatch = { match: () => null };
+
+test('keeps a detected passage within the limit', () => {
+    // Most of al-Baqarah recited, and one ayah near its end heard by mistake
+    const segments = matchedSegments(2, [1, 2, 3, 4, 5, 280]);
+    const passage = detectPassage(corpus, segments, noWholeMatch);
+    assert.deepStrictEqual(passage, { surah: 2, ayahStart: 1, ayahEnd: 5 });
+});
+
+test('scores a detected passage in bounded time', () => {
+    const ayat = [];
+    for (let ayah = 1; ayah <= 286; ayah += 5) ayat.push(ayah);
+    const passage = detectPassage(corpus, matchedSegments(2, ayat), noWholeMatch);
+    const words = corpus.verses
+        .filter(verse => verse.surah === 2 && verse.ayah >= passage.ayahStart && verse.ayah <= passage.ayahEnd)
+        .flatMap(verse => verse.arabic.split(/\s+/).filter(word => normalizeWord(word).length > 0));
+    assert.ok(words.length <= MAX_PASSAGE_WORDS);
+
+    const started = Date.now();
+    scoreRecitation(corpus, passage, words.map((word, index) => ({ word, start: index, end: index + 1 })));
+    assert.ok(Date.now() - started < 10000, `took ${Date.now() - started} ms`);
+});
+
+test('leaves a short passage as detected', () => {
+    const passage = detectPassage(corpus, matchedSegments(1, [2, 4, 3]), noWholeMatch);
+    assert.deepStrictEqual(passage, { surah: 1, ayahStart: 2, ayahEnd: 4 });
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSessionStore } = require('../lib/store');
+const { createSessionsRouter } = require('../lib/routes/sessions');
+
+test('refuses to delete a session still being recorded', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const store = createSessionStore(dir);
+    const active = new Set();
+
+    const app = express();
+    app.use('/api/sessions', createSessionsRouter(store, { isActive: id => active.has(id) }));
+    const server = app.listen(0);
+    t.after(() => server.close());
+    const url = id => `http://localhost:${server.address().port}/api/sessions/${id}`;
+
+    const id = store.newId();
+    await store.save({ id, startedAt: new Date().toISOString(), segments: [] });
+    active.add(id);
+
+    const refused = await fetch(url(id), { method: 'DELETE' });
+    assert.strictEqual(refused.status, 409);
+    assert.ok((await store.get(id)) !== null);
+
+    active.delete(id);
+    assert.strictEqual((await fetch(url(id), { method: 'DELETE' })).status, 204);
+    assert.strictEqual((await fetch(url(id))).status, 404);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLevelMeter, splitOnSilence } = require('../lib/silence');
+const { SAMPLE_RATE } = require('../lib/wav');
+
+// seconds of a 440 Hz tone (or of silence) as 16-bit PCM
+function audio(seconds, amplitude) {
+    const pcm = Buffer.alloc(Math.round(seconds * SAMPLE_RATE) * 2);
+    for (let i = 0; i < pcm.length / 2; i++) {
+        pcm.writeInt16LE(Math.round(amplitude * Math.sin(2 * Math.PI * 440 * i / SAMPLE_RATE)), i * 2);
+    }
+    return pcm;
+}
+
+test('splits PCM measured in parts at its pauses', () => {
+    const pcm = Buffer.concat([audio(1, 0), audio(2, 8000), audio(1, 0), audio(2, 8000), audio(1, 0)]);
+    const meter = createLevelMeter();
+    for (let offset = 0; offset < pcm.length; offset += 1001) {
+        meter.write(pcm.subarray(offset, offset + 1001));
+    }
+    const measured = meter.end();
+    assert.strictEqual(measured.length, pcm.length);
+
+    const pieces = splitOnSilence(measured);
+    assert.strictEqual(pieces.length, 2);
+    assert.ok(pieces[0].start < 1 && pieces[0].end > 3 && pieces[0].end < 4);
+    assert.ok(pieces[1].start > 3 && pieces[1].start < 4 && pieces[1].end > 6);
+    for (const piece of pieces) {
+        assert.strictEqual(piece.offset, Math.round(piece.start * SAMPLE_RATE * 2));
+        assert.ok(piece.offset + piece.length <= pcm.length);
+    }
+});
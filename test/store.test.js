@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSessionStore } = require('../lib/store');
+
+function temporaryStore() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+    test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return createSessionStore(dir);
+}
+
+const session = id => ({ id, startedAt: new Date().toISOString(), status: 'recording', segments: [] });
+
+test('a deleted session is not brought back by a later save', async () => {
+    const store = temporaryStore();
+    const id = store.newId();
+    await store.save(session(id));
+
+    const saving = store.save({ ...session(id), status: 'complete' });
+    assert.strictEqual(await store.delete(id), true);
+    await saving;
+    await store.save({ ...session(id), status: 'complete' });
+
+    assert.strictEqual(await store.get(id), null);
+    assert.deepStrictEqual(await store.list(), []);
+});
+
+test('deleting an unknown session reports nothing deleted', async () => {
+    const store = temporaryStore();
+    assert.strictEqual(await store.delete(store.newId()), false);
+    assert.strictEqual(await store.delete('../elsewhere'), false);
+});